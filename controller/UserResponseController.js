@@ -1,6 +1,6 @@
+const mongoose = require("mongoose");
 const createError = require("../utils/error");
 const User = require("../models/User");
-const Question = require("../models/Question");
 const UserResponse = require("../models/UserResponse");
 const AIProcessingLog = require("../models/AIProcessingLog");
 const fs = require("fs");
@@ -8,10 +8,17 @@ const pdfParse = require("pdf-parse");
 const mammoth = require("mammoth");
 const path = require("path");
 const QuestionPreFillService = require("../services/questionPreFillService");
+const { getPublishedQuestionnaire } = require("../services/questionnaireService");
+const { saveResponse, deleteResponse, migrateResponse, getHistory } = require("../services/responseHistoryService");
+const { getVisibleQuestionIds } = require("../utils/conditions");
+const { checkTextAnswer, checkFiles } = require("../utils/validationRules");
+const { getRequestLocales, localizeQuestionnaire, toOptionKey } = require("../utils/locale");
 const { generateRoadmap } = require("../services/roadmapGenerator");
 const Roadmap = require("../models/Roadmap");
 const Course = require("../models/Course");
 
+const CATEGORIES = ["student", "professional"];
+
 /**
  * Extract text content from uploaded files
  * @param {string} filePath - Path to the uploaded file
@@ -42,19 +49,271 @@ async function extractText(filePath, mimetype) {
   }
 }
 
+/**
+ * Pull the answer value out of a submitted response based on the question type
+ * @param {Object} response - Submitted response ({ answerText, answerChoice, answerLink, files })
+ * @param {Object} question - Question object
+ * @returns {*} Answer value used to evaluate display conditions
+ */
+function getSubmittedAnswer(response, question) {
+  switch (question.type) {
+    case "text":
+      return response.answerText;
+    case "yes/no":
+    case "multiple-choice":
+      return response.answerChoice;
+    case "link":
+      return response.answerLink;
+    case "upload":
+      return response.files;
+    case "multi-select":
+    case "ranking":
+      return response.answerChoices;
+    case "scale":
+    case "number":
+      return response.answerNumber === undefined || response.answerNumber === "" ? undefined : Number(response.answerNumber);
+    case "date":
+      return response.answerDate;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Replace translated option labels in submitted choices with the canonical option keys,
+ * so stored answers are the same whatever language the user answered in
+ * @param {Array} responses - Submitted responses (modified in place)
+ * @param {Map} questionMap - questionId -> question
+ */
+function canonicalizeChoices(responses, questionMap) {
+  responses.forEach(response => {
+    const question = questionMap.get(String(response.questionId));
+    if (!question) return;
+    if (typeof response.answerChoice === "string") {
+      response.answerChoice = toOptionKey(question, response.answerChoice);
+    }
+    if (Array.isArray(response.answerChoices)) {
+      response.answerChoices = response.answerChoices.map(choice => toOptionKey(question, choice));
+    }
+  });
+}
+
+/**
+ * Build the answers used to evaluate display conditions: the user's stored
+ * responses overlaid with the ones being submitted
+ * @param {string} userId - User id
+ * @param {Array} responses - Submitted responses
+ * @param {Map} questionMap - questionId -> question
+ * @returns {Promise<Map>} questionId -> answer value
+ */
+async function buildAnswerMap(userId, responses, questionMap) {
+  const stored = await UserResponse.find({ user: userId }).select("question answer").lean();
+  const answers = new Map(stored.map(r => [r.question.toString(), r.answer]));
+  responses.forEach(response => {
+    const question = questionMap.get(String(response.questionId));
+    if (question) answers.set(String(response.questionId), getSubmittedAnswer(response, question));
+  });
+  return answers;
+}
+
+/**
+ * Validate a single answer against its question type and settings
+ * @param {Object} question - Question object
+ * @param {Object} response - Submitted response for the question
+ * @returns {Object|null} Error object if validation fails, null if valid
+ */
+function validateAnswerForQuestion(question, response) {
+  switch (question.type) {
+    case "text":
+      if (!response.answerText || response.answerText.trim() === "") {
+        return {
+          status: 400,
+          message: `Text answer is required for question: "${question.text}"`
+        };
+      }
+      break;
+
+    case "yes/no":
+      if (!response.answerChoice || response.answerChoice.trim() === "") {
+        return {
+          status: 400,
+          message: `Yes/No answer is required for question: "${question.text}"`
+        };
+      }
+      // For yes/no questions, accept "Yes" or "No" regardless of options array
+      if (response.answerChoice !== "Yes" && response.answerChoice !== "No") {
+        return {
+          status: 400,
+          message: `Invalid choice for question "${question.text}". Allowed options: Yes, No`
+        };
+      }
+      break;
+
+    case "multiple-choice":
+      if (!response.answerChoice || response.answerChoice.trim() === "") {
+        return {
+          status: 400,
+          message: `Choice answer is required for question: "${question.text}"`
+        };
+      }
+      if (!question.options.includes(response.answerChoice)) {
+        return {
+          status: 400,
+          message: `Invalid choice for question "${question.text}". Allowed options: ${question.options.join(", ")}`
+        };
+      }
+      break;
+
+    case "link":
+      if (!response.answerLink || response.answerLink.trim() === "") {
+        return {
+          status: 400,
+          message: `Link answer is required for question: "${question.text}"`
+        };
+      }
+      break;
+
+    case "upload":
+      if (!response.files || response.files.length === 0) {
+        return {
+          status: 400,
+          message: `At least one file must be uploaded for question: "${question.text}"`
+        };
+      }
+      break;
+
+    case "multi-select": {
+      const choices = response.answerChoices;
+      const min = question.minSelections ?? 1;
+      const max = question.maxSelections || question.options.length;
+      if (!Array.isArray(choices) || (choices.length === 0 && min > 0)) {
+        return {
+          status: 400,
+          message: `At least one choice is required for question: "${question.text}"`
+        };
+      }
+      const invalid = choices.filter(choice => !question.options.includes(choice));
+      if (invalid.length > 0) {
+        return {
+          status: 400,
+          message: `Invalid choice(s) ${invalid.join(", ")} for question "${question.text}". Allowed options: ${question.options.join(", ")}`
+        };
+      }
+      if (new Set(choices).size !== choices.length) {
+        return {
+          status: 400,
+          message: `Each option can only be selected once for question: "${question.text}"`
+        };
+      }
+      if (choices.length < min || choices.length > max) {
+        return {
+          status: 400,
+          message: `Select between ${min} and ${max} options for question: "${question.text}"`
+        };
+      }
+      break;
+    }
+
+    case "ranking": {
+      const ranking = response.answerChoices;
+      const isPermutation = Array.isArray(ranking) &&
+        ranking.length === question.options.length &&
+        new Set(ranking).size === ranking.length &&
+        ranking.every(option => question.options.includes(option));
+      if (!isPermutation) {
+        return {
+          status: 400,
+          message: `Rank every option exactly once for question "${question.text}". Options: ${question.options.join(", ")}`
+        };
+      }
+      break;
+    }
+
+    case "scale": {
+      const value = getSubmittedAnswer(response, question);
+      const min = question.scale?.min ?? 1;
+      const max = question.scale?.max ?? 5;
+      if (value === undefined || !Number.isInteger(value) || value < min || value > max) {
+        return {
+          status: 400,
+          message: `Answer for question "${question.text}" must be a whole number from ${min} to ${max}`
+        };
+      }
+      break;
+    }
+
+    case "number": {
+      const value = getSubmittedAnswer(response, question);
+      const range = question.numberRange || {};
+      if (value === undefined || Number.isNaN(value)) {
+        return {
+          status: 400,
+          message: `Numeric answer is required for question: "${question.text}"`
+        };
+      }
+      if (range.integer && !Number.isInteger(value)) {
+        return {
+          status: 400,
+          message: `Answer for question "${question.text}" must be a whole number`
+        };
+      }
+      if ((range.min !== undefined && range.min !== null && value < range.min) ||
+          (range.max !== undefined && range.max !== null && value > range.max)) {
+        return {
+          status: 400,
+          message: `Answer for question "${question.text}" must be between ${range.min ?? "-∞"} and ${range.max ?? "∞"}`
+        };
+      }
+      break;
+    }
+
+    case "date": {
+      const date = response.answerDate ? new Date(response.answerDate) : null;
+      const range = question.dateRange || {};
+      if (!date || isNaN(date)) {
+        return {
+          status: 400,
+          message: `A valid date is required for question: "${question.text}"`
+        };
+      }
+      if ((range.min && date < new Date(range.min)) || (range.max && date > new Date(range.max))) {
+        return {
+          status: 400,
+          message: `Date for question "${question.text}" is outside the allowed range`
+        };
+      }
+      break;
+    }
+
+    default:
+      return {
+        status: 400,
+        message: `Invalid question type: ${question.type}`
+      };
+  }
+
+  return null;
+}
+
 /**
  * Validate that all required questions are answered and CV is uploaded
  * @param {Array} responses - Array of user responses
  * @param {Array} questions - Array of question objects
- * @returns {Object|null} Error object if validation fails, null if valid
+ * @param {Set<string>} [visibleIds] - Ids of questions whose display condition holds; hidden ones are not enforced
+ * @returns {Promise<Object|null>} Error object if validation fails, null if valid
  */
-function validateAllQuestionsAnswered(responses, questions) {
+async function validateAllQuestionsAnswered(responses, questions, visibleIds) {
   const responseMap = new Map();
   responses.forEach(r => responseMap.set(r.questionId, r));
 
   let hasCVUpload = false;
 
   for (const question of questions) {
+    // Questions hidden by a display condition are neither required nor validated
+    if (visibleIds && !visibleIds.has(question._id.toString())) {
+      continue;
+    }
+
     const response = responseMap.get(question._id.toString());
     
     // Check if this is a CV upload question
@@ -70,8 +329,20 @@ function validateAllQuestionsAnswered(responses, questions) {
       hasCVUpload = true;
     }
 
-    // Skip validation for optional questions
-    if (question.optional) {
+    // Admin-defined rules apply whenever an answer is given, even to optional questions
+    if (response && (question.type === "text" || question.type === "link")) {
+      const value = getSubmittedAnswer(response, question);
+      if (typeof value === "string" && value.trim() !== "") {
+        const ruleError = await checkTextAnswer(question, value);
+        if (ruleError) {
+          return { status: 400, message: ruleError };
+        }
+      }
+    }
+
+    // Optional questions may be left blank, but an answer that is given must still be valid
+    const answered = response && !isEmptyAnswer(getSubmittedAnswer(response, question));
+    if (question.optional && !answered) {
       continue;
     }
 
@@ -83,71 +354,9 @@ function validateAllQuestionsAnswered(responses, questions) {
       };
     }
 
-    // Validate based on question type
-    switch (question.type) {
-      case "text":
-        if (!response.answerText || response.answerText.trim() === "") {
-          return {
-            status: 400,
-            message: `Text answer is required for question: "${question.text}"`
-          };
-        }
-        break;
-
-      case "yes/no":
-        if (!response.answerChoice || response.answerChoice.trim() === "") {
-          return {
-            status: 400,
-            message: `Yes/No answer is required for question: "${question.text}"`
-          };
-        }
-        // For yes/no questions, accept "Yes" or "No" regardless of options array
-        if (response.answerChoice !== "Yes" && response.answerChoice !== "No") {
-          return {
-            status: 400,
-            message: `Invalid choice for question "${question.text}". Allowed options: Yes, No`
-          };
-        }
-        break;
-
-      case "multiple-choice":
-        if (!response.answerChoice || response.answerChoice.trim() === "") {
-          return {
-            status: 400,
-            message: `Choice answer is required for question: "${question.text}"`
-          };
-        }
-        if (!question.options.includes(response.answerChoice)) {
-          return {
-            status: 400,
-            message: `Invalid choice for question "${question.text}". Allowed options: ${question.options.join(", ")}`
-          };
-        }
-        break;
-
-      case "link":
-        if (!response.answerLink || response.answerLink.trim() === "") {
-          return {
-            status: 400,
-            message: `Link answer is required for question: "${question.text}"`
-          };
-        }
-        break;
-
-      case "upload":
-        if (!response.files || response.files.length === 0) {
-          return {
-            status: 400,
-            message: `At least one file must be uploaded for question: "${question.text}"`
-          };
-        }
-        break;
-
-      default:
-        return {
-          status: 400,
-          message: `Invalid question type: ${question.type}`
-        };
+    const answerError = validateAnswerForQuestion(question, response);
+    if (answerError) {
+      return answerError;
     }
   }
 
@@ -439,6 +648,137 @@ async function generateRoadmapAfterResponses(userId, responses) {
   }
 }
 
+/**
+ * Build the UserResponse document for one submitted answer
+ * @param {string} userId - User id
+ * @param {Object} question - Question object
+ * @param {Object} response - Submitted response
+ * @param {Map} filesByQuestion - questionId -> processed files
+ * @param {number|null} questionnaireVersion - Published version answered
+ * @returns {Object} UserResponse fields
+ */
+function buildResponseData(userId, question, response, filesByQuestion, questionnaireVersion) {
+  // Prepare response data with optimized structure
+  const responseData = {
+    user: userId,
+    question: question._id,
+    questionText: question.text,
+    questionType: question.type,
+    step: question.step,
+    category: question.category,
+    questionnaireVersion
+  };
+
+  // Store only the relevant answer based on question type
+  switch (question.type) {
+    case "text":
+      responseData.answer = response.answerText;
+      break;
+    case "yes/no":
+      responseData.answer = response.answerChoice;
+      break;
+    case "multiple-choice":
+      responseData.answer = response.answerChoice;
+      break;
+    case "link":
+      responseData.answer = response.answerLink;
+      break;
+    case "upload":
+      // For upload questions, store files and set answer to files array
+      const questionFiles = filesByQuestion.get(response.questionId) || [];
+      responseData.answer = questionFiles;
+      responseData.files = questionFiles; // Only store files field for upload questions
+      break;
+    case "multi-select":
+    case "ranking":
+      // Selected options, in ranked order for ranking questions
+      responseData.answer = response.answerChoices;
+      break;
+    case "scale":
+    case "number":
+      responseData.answer = getSubmittedAnswer(response, question);
+      break;
+    case "date":
+      responseData.answer = response.answerDate ? new Date(response.answerDate) : undefined;
+      break;
+    default:
+      throw new Error(`Invalid question type: ${question.type}`);
+  }
+
+  return responseData;
+}
+
+/**
+ * Convert a stored UserResponse back into the submitted format used by the validators
+ * @param {Object} stored - UserResponse document
+ * @param {Object} question - Question object
+ * @returns {Object} Response in request format ({ questionId, answerText, ... })
+ */
+function toSubmittedResponse(stored, question) {
+  const response = { questionId: stored.question.toString() };
+  switch (question.type) {
+    case "text":
+      response.answerText = stored.answer;
+      break;
+    case "yes/no":
+    case "multiple-choice":
+      response.answerChoice = stored.answer;
+      break;
+    case "link":
+      response.answerLink = stored.answer;
+      break;
+    case "upload":
+      response.files = stored.files || stored.answer;
+      break;
+    case "multi-select":
+    case "ranking":
+      response.answerChoices = stored.answer;
+      break;
+    case "scale":
+    case "number":
+      response.answerNumber = stored.answer;
+      break;
+    case "date":
+      response.answerDate = stored.answer;
+      break;
+  }
+  return response;
+}
+
+/**
+ * Read responses from the supported body formats: a JSON string in
+ * `responses` (form-data), an array in `responses`, a bare array, or a single object
+ * @param {*} body - Request body
+ * @returns {Object} { responses } or { error }
+ */
+function parseResponsesFromBody(body) {
+  let responses;
+  if (typeof body.responses === "string") {
+    // Form-data format: responses field contains JSON string
+    try {
+      responses = JSON.parse(body.responses);
+    } catch (error) {
+      return { error: "Invalid JSON format in responses field" };
+    }
+  } else if (Array.isArray(body.responses)) {
+    responses = body.responses;
+  } else if (Array.isArray(body)) {
+    // Direct JSON array format
+    responses = body;
+  } else if (body && typeof body === "object") {
+    // Single response object
+    responses = [body];
+  } else {
+    return { error: "Request body is missing or invalid format" };
+  }
+
+  // Ensure responses is an array
+  if (!Array.isArray(responses)) {
+    return { error: "Responses must be an array" };
+  }
+  return { responses };
+}
+
 /**
  * Save user responses to questionnaire
  * Validates all questions are answered, processes file uploads, and saves to database
@@ -457,45 +797,23 @@ const saveUserResponses = async (req, res, next) => {
       return next(createError(403, "Only registered users can submit responses"));
     }
 
-    // Handle different request formats
-    let responses;
     const uploadedFiles = req.files || [];
 
-    // Debug logging for file uploads
-
     // Parse responses from different formats
-    if (req.body.responses) {
-      // Form-data format: responses field contains JSON string
-      try {
-        responses = JSON.parse(req.body.responses);
-      } catch (error) {
-        return next(createError(400, "Invalid JSON format in responses field"));
-      }
-    } else if (Array.isArray(req.body)) {
-      // Direct JSON array format
-      responses = req.body;
-    } else if (req.body && typeof req.body === 'object') {
-      // Single response object
-      responses = [req.body];
-    } else {
-      return next(createError(400, "Request body is missing or invalid format"));
-    }
-
-    // Ensure responses is an array
-    if (!Array.isArray(responses)) {
-      return next(createError(400, "Responses must be an array"));
+    const parsed = parseResponsesFromBody(req.body);
+    if (parsed.error) {
+      return next(createError(400, parsed.error));
     }
+    const responses = parsed.responses;
 
     // Extract all question IDs from responses
     const questionIds = responses.map(r => r.questionId);
     
     // Debug logging for question IDs
     
-    // Fetch all questions at once for validation
-    const questions = await Question.find({ 
-      _id: { $in: questionIds },
-      status: "active" 
-    });
+    // Validate against the published questionnaire, not the live draft
+    const { version: questionnaireVersion, questions: publishedQuestions } = await getPublishedQuestionnaire();
+    const questions = publishedQuestions.filter(q => questionIds.includes(q._id.toString()));
 
     
     if (questions.length !== questionIds.length) {
@@ -504,8 +822,41 @@ const saveUserResponses = async (req, res, next) => {
       return next(createError(404, `One or more questions not found or inactive. Missing: ${missingIds.join(", ")}`));
     }
 
+    // Answers must all belong to the user's questionnaire
+    const { category, error: categoryError } = resolveCategory(user, req.body.category, questions);
+    if (categoryError) {
+      return next(createError(categoryError.status, categoryError.message));
+    }
+    if (!category) {
+      return next(createError(400, "Answers cover both questionnaires; send category (student or professional)"));
+    }
+    const mismatch = checkQuestionsInCategory(questions, category);
+    if (mismatch) {
+      return next(createError(400, mismatch));
+    }
+    const categoryQuestions = publishedQuestions.filter(q => q.category === category);
+
+    // Work out which questions the user's answers make visible
+    const publishedMap = new Map(publishedQuestions.map(q => [q._id.toString(), q]));
+    canonicalizeChoices(responses, publishedMap);
+    const answers = await buildAnswerMap(userId, responses, publishedMap);
+    const visibleIds = getVisibleQuestionIds(categoryQuestions, answers);
+
+    // Completeness covers the whole questionnaire of the category; answers saved earlier count too
+    const submittedIds = new Set(responses.map(r => String(r.questionId)));
+    const earlierResponses = await UserResponse.find({
+      user: userId,
+      question: { $in: categoryQuestions.map(q => q._id) }
+    }).lean();
+    const allResponses = [
+      ...responses,
+      ...earlierResponses
+        .filter(r => !submittedIds.has(r.question.toString()))
+        .map(r => toSubmittedResponse(r, publishedMap.get(r.question.toString())))
+    ];
+
     // Validate that all required questions are answered and CV is uploaded
-    const validationError = validateAllQuestionsAnswered(responses, questions);
+    const validationError = await validateAllQuestionsAnswered(allResponses, categoryQuestions, visibleIds);
     if (validationError) {
       return next(createError(validationError.status, validationError.message));
     }
@@ -536,62 +887,45 @@ const saveUserResponses = async (req, res, next) => {
     // Distribute files to appropriate questions
     const filesByQuestion = distributeFilesToQuestions(responses, processedFilesResult.files);
 
+    // Enforce admin-defined file type and size rules per upload question
+    for (const question of questions) {
+      const fileError = checkFiles(question, filesByQuestion.get(question._id.toString()));
+      if (fileError) {
+        await cleanupUploadedFiles(uploadedFiles.map(file => file.path));
+        return next(createError(400, fileError));
+      }
+    }
+
     // Process all responses
     const savedResponses = [];
     const questionMap = new Map();
     questions.forEach(q => questionMap.set(q._id.toString(), q));
 
+    const hiddenQuestionIds = [];
     for (const response of responses) {
       const question = questionMap.get(response.questionId);
+
+      // Answers to questions hidden by their display condition are not stored
+      if (!visibleIds.has(response.questionId)) {
+        hiddenQuestionIds.push(response.questionId);
+        continue;
+      }
       
-      // Prepare response data with optimized structure
-      const responseData = {
-        user: userId,
-        question: question._id,
-        questionText: question.text,
-        questionType: question.type,
-        step: question.step,
-        category: question.category
-      };
+      const responseData = buildResponseData(userId, question, response, filesByQuestion, questionnaireVersion);
+      responseData.status = "submitted";
 
-      // Store only the relevant answer based on question type
-      switch (question.type) {
-        case "text":
-          responseData.answer = response.answerText;
-          break;
-        case "yes/no":
-          responseData.answer = response.answerChoice;
-          break;
-        case "multiple-choice":
-          responseData.answer = response.answerChoice;
-          break;
-        case "link":
-          responseData.answer = response.answerLink;
-          break;
-        case "upload":
-          // For upload questions, store files and set answer to files array
-          const questionFiles = filesByQuestion.get(response.questionId) || [];
-          responseData.answer = questionFiles;
-          responseData.files = questionFiles; // Only store files field for upload questions
-          break;
-        default:
-          throw new Error(`Invalid question type: ${question.type}`);
-      }
-
-      // Save or update user response
-      const userResponse = await UserResponse.findOneAndUpdate(
-        { user: userId, question: question._id },
-        responseData,
-        { 
-          new: true, 
-          upsert: true, 
-          runValidators: true 
-        }
-      );
+      // Save or update user response, keeping the previous answer in its history
+      const userResponse = await saveResponse({ user: userId, question: question._id }, responseData, req);
 
       savedResponses.push(userResponse);
     }
 
+    // Earlier draft answers were part of this complete submission
+    await UserResponse.updateMany(
+      { user: userId, status: "draft", question: { $in: categoryQuestions.map(q => q._id) } },
+      { status: "submitted" }
+    );
+
     // Clean up uploaded files after successful processing
     const uploadedFilePaths = uploadedFiles.map(file => file.path);
     const cleanupResult = await cleanupUploadedFiles(uploadedFilePaths);
@@ -603,9 +937,9 @@ const saveUserResponses = async (req, res, next) => {
       console.warn(`Failed to clean up ${cleanupResult.errors.length} files:`, cleanupResult.errors);
     }
 
-    // Update user's onboarding completion status
+    // Update user's onboarding completion status and remember their questionnaire
     try {
-      await User.findByIdAndUpdate(userId, { hasCompletedOnboarding: true });
+      await User.findByIdAndUpdate(userId, { hasCompletedOnboarding: true, category });
     } catch (updateError) {
       console.error("Failed to update user onboarding status:", updateError);
       // Don't fail the entire request if this update fails
@@ -625,7 +959,9 @@ const saveUserResponses = async (req, res, next) => {
     return res.status(201).json({
       success: true,
       message: "Responses saved successfully",
+      category,
       data: savedResponses,
+      hiddenQuestionsSkipped: hiddenQuestionIds,
       cleanup: {
         filesDeleted: cleanupResult.deleted.length,
         cleanupErrors: cleanupResult.errors.length
@@ -678,8 +1014,8 @@ const preFillQuestions = async (req, res, next) => {
       return next(createError(400, "At least one document must be uploaded for pre-filling"));
     }
 
-    // Get all active questions
-    const questions = await Question.find({ status: "active" }).sort({ "step.stepNumber": 1 });
+    // Get all active questions of the published questionnaire (of the user's category, once chosen)
+    const { questions } = await getPublishedQuestionnaire({ category: user.category || undefined });
     
     if (!questions || questions.length === 0) {
       return next(createError(404, "No active questions found"));
@@ -828,6 +1164,586 @@ const preFillQuestions = async (req, res, next) => {
   }
 };
 
+/**
+ * Visible questions for the answers given so far
+ * Body: { answers: { [questionId]: value }, afterStep?: number }
+ * Stored responses are used for questions not included in answers. With afterStep,
+ * only the first later step that has a visible question is returned.
+ */
+const getVisibleQuestions = async (req, res, next) => {
+  try {
+    const userId = req.user.id || req.user._id;
+    const { answers = {}, afterStep } = req.body || {};
+    if (typeof answers !== "object" || Array.isArray(answers)) {
+      return next(createError(400, "answers must be an object keyed by question id"));
+    }
+
+    const { version, questions, steps } = await getPublishedQuestionnaire({ category: req.user.category || undefined });
+    const questionMap = new Map(questions.map(q => [q._id.toString(), q]));
+
+    const stored = await UserResponse.find({ user: userId }).select("question answer").lean();
+    const answerMap = new Map(stored.map(r => [r.question.toString(), r.answer]));
+    Object.entries(answers).forEach(([questionId, value]) => {
+      // Choices may be sent as translated labels; conditions compare canonical keys
+      const question = questionMap.get(questionId);
+      const canonical = question && Array.isArray(value)
+        ? value.map(choice => toOptionKey(question, choice))
+        : (question ? toOptionKey(question, value) : value);
+      answerMap.set(questionId, canonical);
+    });
+
+    const visibleIds = getVisibleQuestionIds(questions, answerMap);
+    const localized = localizeQuestionnaire(questions, steps, getRequestLocales(req)).questions;
+    let visible = localized.filter(q => visibleIds.has(q._id.toString()));
+    res.vary("Accept-Language");
+
+    let nextStep = null;
+    if (afterStep !== undefined && afterStep !== null) {
+      const later = visible.filter(q => (q.step?.stepNumber || 0) > Number(afterStep));
+      nextStep = later.length > 0 ? later[0].step : null;
+      visible = nextStep ? later.filter(q => q.step.stepNumber === nextStep.stepNumber) : [];
+    }
+
+    return res.status(200).json({
+      success: true,
+      version,
+      nextStep,
+      hiddenCount: questions.length - visibleIds.size,
+      count: visible.length,
+      data: visible
+    });
+  } catch (error) {
+    console.error("Error computing visible questions:", error);
+    return next(createError(500, "Internal server error"));
+  }
+};
+
+/**
+ * Pick the questionnaire category for a user: the one stored on their account,
+ * else the requested one, else the single category of the given answers or questions
+ * @param {Object} user - User document
+ * @param {string} requested - Category from the request, if any
+ * @param {Array} items - Saved responses or questions ({ category })
+ * @returns {Object} { category } (null if it can't be determined) or { error }
+ */
+function resolveCategory(user, requested, items) {
+  if (requested && !CATEGORIES.includes(requested)) {
+    return { error: { status: 400, message: "category must be student or professional" } };
+  }
+  if (user.category) {
+    if (requested && requested !== user.category) {
+      return {
+        error: {
+          status: 409,
+          message: `Your questionnaire category is ${user.category}; switch it with PUT /api/user-response/category first`
+        }
+      };
+    }
+    return { category: user.category };
+  }
+  if (requested) return { category: requested };
+  const categories = new Set(items.map(item => item.category));
+  return { category: categories.size === 1 ? [...categories][0] : null };
+}
+
+/**
+ * The first question that does not belong to the category, if any
+ * @param {Array} questions - Questions being answered
+ * @param {string} category - User's category
+ * @returns {string|null} Error message, or null when all match
+ */
+function checkQuestionsInCategory(questions, category) {
+  const foreign = questions.find(q => q.category !== category);
+  return foreign ? `Question "${foreign.text}" belongs to the ${foreign.category} questionnaire, not ${category}` : null;
+}
+
+const isEmptyAnswer = (answer) =>
+  answer === undefined || answer === null ||
+  (typeof answer === "string" && answer.trim() === "") ||
+  (Array.isArray(answer) && answer.length === 0);
+
+/**
+ * Per-step completion for the visible questions of a questionnaire
+ * @param {Array} questions - Published questions of the user's category
+ * @param {Array} storedResponses - User's saved responses
+ * @returns {Object} { steps, complete, nextIncompleteStep }
+ */
+function computeProgress(questions, storedResponses) {
+  const answers = new Map(storedResponses.map(r => [r.question.toString(), r.answer]));
+  const visibleIds = getVisibleQuestionIds(questions, answers);
+
+  const steps = new Map();
+  for (const question of questions) {
+    if (!visibleIds.has(question._id.toString())) continue;
+    const key = question.step?.stepNumber || 0;
+    if (!steps.has(key)) {
+      steps.set(key, { stepNumber: key, stepName: question.step?.stepName, total: 0, answered: 0, required: 0, requiredAnswered: 0 });
+    }
+    const step = steps.get(key);
+    const answered = !isEmptyAnswer(answers.get(question._id.toString()));
+    step.total += 1;
+    if (answered) step.answered += 1;
+    if (!question.optional) {
+      step.required += 1;
+      if (answered) step.requiredAnswered += 1;
+    }
+  }
+
+  const stepList = [...steps.values()]
+    .sort((a, b) => a.stepNumber - b.stepNumber)
+    .map(step => ({ ...step, complete: step.requiredAnswered === step.required }));
+  const firstIncomplete = stepList.find(step => !step.complete);
+
+  return {
+    steps: stepList,
+    complete: !firstIncomplete,
+    nextIncompleteStep: firstIncomplete ? firstIncomplete.stepNumber : null
+  };
+}
+
+/**
+ * Autosave draft answers, typically one step at a time
+ * Accepts the same formats as saveUserResponses plus an optional stepNumber.
+ * Required questions are not enforced; answers that are given are validated,
+ * invalid ones are reported and skipped, and cleared answers are removed.
+ */
+const saveDraftResponses = async (req, res, next) => {
+  const uploadedFiles = req.files || [];
+  try {
+    const userId = req.user.id || req.user._id;
+    const user = await User.findById(userId);
+    if (!user || user.role !== "user") {
+      await cleanupUploadedFiles(uploadedFiles.map(file => file.path));
+      return next(createError(403, "Only registered users can save responses"));
+    }
+
+    const parsed = parseResponsesFromBody(req.body || {});
+    if (parsed.error) {
+      await cleanupUploadedFiles(uploadedFiles.map(file => file.path));
+      return next(createError(400, parsed.error));
+    }
+    // Drop the envelope fields when a single object was posted
+    const responses = parsed.responses.filter(r => r && r.questionId);
+    const stepNumber = req.body.stepNumber !== undefined ? Number(req.body.stepNumber) : null;
+
+    const { version: questionnaireVersion, questions: publishedQuestions } = await getPublishedQuestionnaire();
+    const questionMap = new Map(publishedQuestions.map(q => [q._id.toString(), q]));
+
+    const unknown = responses.filter(r => !questionMap.has(String(r.questionId))).map(r => r.questionId);
+    if (unknown.length > 0) {
+      await cleanupUploadedFiles(uploadedFiles.map(file => file.path));
+      return next(createError(404, `One or more questions not found or inactive. Missing: ${unknown.join(", ")}`));
+    }
+
+    const answeredQuestions = responses.map(r => questionMap.get(String(r.questionId)));
+    const { category, error: categoryError } = resolveCategory(user, req.body.category, answeredQuestions);
+    if (categoryError) {
+      await cleanupUploadedFiles(uploadedFiles.map(file => file.path));
+      return next(createError(categoryError.status, categoryError.message));
+    }
+    const mismatch = answeredQuestions.length > 0 &&
+      (category ? checkQuestionsInCategory(answeredQuestions, category) : "Answers cover both questionnaires; send category (student or professional)");
+    if (mismatch) {
+      await cleanupUploadedFiles(uploadedFiles.map(file => file.path));
+      return next(createError(400, mismatch));
+    }
+
+    if (stepNumber !== null) {
+      const outside = responses.filter(r => questionMap.get(String(r.questionId)).step?.stepNumber !== stepNumber);
+      if (outside.length > 0) {
+        await cleanupUploadedFiles(uploadedFiles.map(file => file.path));
+        return next(createError(400, `Questions ${outside.map(r => r.questionId).join(", ")} are not part of step ${stepNumber}`));
+      }
+    }
+
+    canonicalizeChoices(responses, questionMap);
+
+    const allFileReferences = responses.flatMap(r => r.files || []);
+    let processedFilesResult;
+    try {
+      processedFilesResult = await processUploadedFiles(allFileReferences, uploadedFiles);
+    } catch (fileError) {
+      await cleanupUploadedFiles(uploadedFiles.map(file => file.path));
+      return next(createError(400, fileError.message));
+    }
+    const filesByQuestion = distributeFilesToQuestions(responses, processedFilesResult.files);
+
+    const saved = [];
+    const cleared = [];
+    const errors = [];
+    for (const response of responses) {
+      const questionId = String(response.questionId);
+      const question = questionMap.get(questionId);
+      const questionFiles = filesByQuestion.get(questionId);
+      const value = question.type === "upload" ? questionFiles : getSubmittedAnswer(response, question);
+
+      if (isEmptyAnswer(value)) {
+        await deleteResponse({ user: userId, question: question._id }, req);
+        cleared.push(questionId);
+        continue;
+      }
+
+      const validationError =
+        ((question.type === "text" || question.type === "link") && await checkTextAnswer(question, value)) ||
+        (question.type === "upload" && checkFiles(question, questionFiles)) ||
+        validateAnswerForQuestion(question, { ...response, files: questionFiles })?.message;
+      if (validationError) {
+        errors.push({ questionId, message: validationError });
+        continue;
+      }
+
+      const responseData = buildResponseData(userId, question, response, filesByQuestion, questionnaireVersion);
+      responseData.status = "draft";
+      const userResponse = await saveResponse({ user: userId, question: question._id }, responseData, req);
+      saved.push(userResponse);
+    }
+
+    await cleanupUploadedFiles(uploadedFiles.map(file => file.path));
+
+    // The first saved answers fix the user's questionnaire
+    if (category && !user.category && saved.length > 0) {
+      await User.updateOne({ _id: userId }, { category });
+    }
+
+    const storedResponses = await UserResponse.find({ user: userId }).select("question answer category").lean();
+    const progressCategory = category || resolveCategory(user, undefined, storedResponses).category;
+    const progress = progressCategory
+      ? computeProgress(publishedQuestions.filter(q => q.category === progressCategory), storedResponses)
+      : null;
+
+    return res.status(200).json({
+      success: true,
+      message: errors.length > 0 ? "Draft saved with some invalid answers skipped" : "Draft saved",
+      data: saved,
+      cleared,
+      errors,
+      category: progressCategory,
+      progress
+    });
+  } catch (error) {
+    console.error("Error saving draft responses:", error);
+    await cleanupUploadedFiles(uploadedFiles.map(file => file.path));
+    if (error.name === "ValidationError") {
+      return next(createError(400, `Validation error: ${error.message}`));
+    }
+    return next(createError(500, "Internal server error"));
+  }
+};
+
+/**
+ * Per-step completion status of the user's questionnaire
+ * Query: category (optional once the user has a category, or when all saved answers share one)
+ */
+const getQuestionnaireProgress = async (req, res, next) => {
+  try {
+    const userId = req.user.id || req.user._id;
+    const storedResponses = await UserResponse.find({ user: userId }).select("question answer category status updatedAt").lean();
+
+    const { category, error: categoryError } = resolveCategory(req.user, req.query.category, storedResponses);
+    if (categoryError) {
+      return next(createError(categoryError.status, categoryError.message));
+    }
+    if (!category) {
+      return next(createError(400, "category is required (student or professional)"));
+    }
+
+    const { version, questions } = await getPublishedQuestionnaire({ category });
+    const progress = computeProgress(questions, storedResponses);
+    const lastSavedAt = storedResponses.reduce((latest, r) => (!latest || r.updatedAt > latest ? r.updatedAt : latest), null);
+
+    return res.status(200).json({
+      success: true,
+      version,
+      category,
+      submitted: !!req.user.hasCompletedOnboarding && !storedResponses.some(r => r.status === "draft"),
+      lastSavedAt,
+      ...progress
+    });
+  } catch (error) {
+    console.error("Error fetching questionnaire progress:", error);
+    return next(createError(500, "Internal server error"));
+  }
+};
+
+/**
+ * Final submit of the saved draft
+ * Runs full validation over every visible question of the category,
+ * marks the answers submitted, completes onboarding and generates the roadmap.
+ * Body: { category } (optional once the user has a category, or when all saved answers share one)
+ */
+const submitQuestionnaire = async (req, res, next) => {
+  try {
+    const userId = req.user.id || req.user._id;
+    const user = await User.findById(userId);
+    if (!user || user.role !== "user") {
+      return next(createError(403, "Only registered users can submit responses"));
+    }
+
+    const storedResponses = await UserResponse.find({ user: userId }).lean();
+    const { category, error: categoryError } = resolveCategory(user, req.body?.category, storedResponses);
+    if (categoryError) {
+      return next(createError(categoryError.status, categoryError.message));
+    }
+    if (!category) {
+      return next(createError(400, "category is required (student or professional)"));
+    }
+
+    const { questions } = await getPublishedQuestionnaire({ category });
+    const questionMap = new Map(questions.map(q => [q._id.toString(), q]));
+
+    const answers = new Map(storedResponses.map(r => [r.question.toString(), r.answer]));
+    const visibleIds = getVisibleQuestionIds(questions, answers);
+    const responses = storedResponses
+      .filter(r => questionMap.has(r.question.toString()))
+      .map(r => toSubmittedResponse(r, questionMap.get(r.question.toString())));
+
+    const validationError = await validateAllQuestionsAnswered(responses, questions, visibleIds);
+    if (validationError) {
+      const progress = computeProgress(questions, storedResponses);
+      return res.status(validationError.status).json({
+        success: false,
+        message: validationError.message,
+        progress
+      });
+    }
+
+    // Drafts answering the other category's questions stay drafts
+    await UserResponse.updateMany(
+      { user: userId, status: "draft", question: { $in: questions.map(q => q._id) } },
+      { status: "submitted" }
+    );
+    await User.findByIdAndUpdate(userId, { hasCompletedOnboarding: true, category });
+
+    try {
+      const freshResponses = await UserResponse.find({ user: userId });
+      await generateRoadmapAfterResponses(userId, freshResponses);
+    } catch (roadmapError) {
+      console.error("Failed to auto-generate roadmap:", roadmapError);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Questionnaire submitted successfully",
+      category,
+      answered: responses.length
+    });
+  } catch (error) {
+    console.error("Error submitting questionnaire:", error);
+    return next(createError(500, "Internal server error"));
+  }
+};
+
+const normalizeQuestionText = (text) => String(text || "").trim().replace(/\s+/g, " ").toLowerCase();
+
+/**
+ * Switch the user's questionnaire category
+ * Answers to questions the new questionnaire also asks (same text and type, and
+ * still valid there) are moved over as drafts; the others are removed. The new
+ * questionnaire has to be submitted again. Both are kept in the answers' history.
+ * Body: { category, dryRun }
+ */
+const switchCategory = async (req, res, next) => {
+  try {
+    const userId = req.user.id || req.user._id;
+    const user = await User.findById(userId);
+    if (!user || user.role !== "user") {
+      return next(createError(403, "Only registered users can change their questionnaire"));
+    }
+
+    const { category } = req.body || {};
+    const dryRun = req.body?.dryRun === true || req.body?.dryRun === "true";
+    if (!CATEGORIES.includes(category)) {
+      return next(createError(400, "category must be student or professional"));
+    }
+
+    const storedResponses = await UserResponse.find({ user: userId }).lean();
+    const previousCategory = user.category || resolveCategory(user, undefined, storedResponses).category;
+    if (user.category === category) {
+      return res.status(200).json({ success: true, message: "Category unchanged", category, migrated: [], removed: [] });
+    }
+
+    const { version, questions } = await getPublishedQuestionnaire({ category });
+    const kept = storedResponses.filter(r => r.category === category);
+    const taken = new Set(kept.map(r => r.question.toString()));
+
+    const migrations = [];
+    const removed = [];
+    for (const stored of storedResponses) {
+      if (stored.category === category) continue;
+
+      const target = questions.find(q =>
+        !taken.has(q._id.toString()) &&
+        q.type === stored.questionType &&
+        normalizeQuestionText(q.text) === normalizeQuestionText(stored.questionText)
+      );
+      if (!target) {
+        removed.push({ questionId: stored.question, questionText: stored.questionText, reason: "Not asked in the new questionnaire" });
+        continue;
+      }
+
+      const response = toSubmittedResponse({ ...stored, question: target._id }, target);
+      canonicalizeChoices([response], new Map([[target._id.toString(), target]]));
+      const invalid =
+        validateAnswerForQuestion(target, response)?.message ||
+        ((target.type === "text" || target.type === "link") && await checkTextAnswer(target, stored.answer)) ||
+        (target.type === "upload" && checkFiles(target, stored.files));
+      if (invalid) {
+        removed.push({ questionId: stored.question, questionText: stored.questionText, reason: invalid });
+        continue;
+      }
+
+      taken.add(target._id.toString());
+      const data = buildResponseData(userId, target, response, new Map([[target._id.toString(), stored.files || []]]), version);
+      data.status = "draft";
+      migrations.push({ stored, target, data });
+    }
+
+    if (!dryRun) {
+      for (const { stored, data } of migrations) {
+        await migrateResponse(stored, data, req);
+      }
+      // Removed answers stay recoverable through their history
+      const removedResponses = storedResponses
+        .filter(r => r.category !== category && !migrations.some(m => m.stored._id.equals(r._id)));
+      for (const stored of removedResponses) {
+        await deleteResponse({ _id: stored._id }, req);
+      }
+      await User.updateOne({ _id: userId }, { category, hasCompletedOnboarding: false });
+    }
+
+    const progress = computeProgress(questions, [
+      ...kept,
+      ...migrations.map(m => ({ question: m.target._id, answer: m.data.answer }))
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      message: dryRun ? "Dry run; nothing was changed" : `Switched to the ${category} questionnaire`,
+      dryRun,
+      previousCategory,
+      category,
+      migrated: migrations.map(m => ({ from: m.stored.question, to: m.target._id, questionText: m.target.text })),
+      removed,
+      progress
+    });
+  } catch (error) {
+    console.error("Error switching questionnaire category:", error);
+    return next(createError(500, "Internal server error"));
+  }
+};
+
+/**
+ * Revision history of the user's answer to a question, newest first
+ * Every save, AI/auto-fill overwrite, clear, category migration and revert adds a revision.
+ */
+const getResponseHistory = async (req, res, next) => {
+  try {
+    const userId = req.user.id || req.user._id;
+    if (req.user.role !== "user") {
+      return next(createError(403, "Only registered users can view their response history"));
+    }
+    const { questionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(questionId)) {
+      return next(createError(400, "Invalid question id"));
+    }
+
+    const [current, revisions] = await Promise.all([
+      UserResponse.findOne({ user: userId, question: questionId }).lean(),
+      getHistory(userId, questionId)
+    ]);
+    if (!current && revisions.length === 0) {
+      return next(createError(404, "No answer or history for this question"));
+    }
+
+    return res.status(200).json({
+      success: true,
+      questionId,
+      current,
+      count: revisions.length,
+      data: revisions
+    });
+  } catch (error) {
+    console.error("Error fetching response history:", error);
+    return next(createError(500, "Internal server error"));
+  }
+};
+
+/**
+ * Restore the answer of an earlier revision
+ * The answer is checked against the current published question before it is saved.
+ * Body: { revision }
+ */
+const revertResponse = async (req, res, next) => {
+  try {
+    const userId = req.user.id || req.user._id;
+    const user = await User.findById(userId);
+    if (!user || user.role !== "user") {
+      return next(createError(403, "Only registered users can revert their responses"));
+    }
+
+    const { questionId } = req.params;
+    const revisionNumber = Number(req.body?.revision);
+    if (!mongoose.Types.ObjectId.isValid(questionId)) {
+      return next(createError(400, "Invalid question id"));
+    }
+    if (!Number.isInteger(revisionNumber) || revisionNumber < 1) {
+      return next(createError(400, "revision must be a positive integer"));
+    }
+
+    const revision = (await getHistory(userId, questionId)).find(r => r.revision === revisionNumber);
+    if (!revision) {
+      return next(createError(404, `Revision ${revisionNumber} not found`));
+    }
+    if (revision.action === "delete" || isEmptyAnswer(revision.answer)) {
+      return next(createError(400, `Revision ${revisionNumber} has no answer to restore`));
+    }
+
+    const { version, questions } = await getPublishedQuestionnaire();
+    const question = questions.find(q => q._id.toString() === questionId);
+    if (!question) {
+      return next(createError(404, "Question is no longer part of the questionnaire"));
+    }
+    if (user.category) {
+      const mismatch = checkQuestionsInCategory([question], user.category);
+      if (mismatch) return next(createError(400, mismatch));
+    }
+
+    const response = toSubmittedResponse({ question: question._id, answer: revision.answer, files: revision.files }, question);
+    const invalid =
+      validateAnswerForQuestion(question, response)?.message ||
+      ((question.type === "text" || question.type === "link") && await checkTextAnswer(question, revision.answer)) ||
+      (question.type === "upload" && checkFiles(question, revision.files));
+    if (invalid) {
+      return next(createError(409, `Revision ${revisionNumber} is no longer a valid answer: ${invalid}`));
+    }
+
+    const current = await UserResponse.findOne({ user: userId, question: question._id }).select("status").lean();
+    const data = buildResponseData(userId, question, response, new Map([[questionId, revision.files || []]]), version);
+    data.source = revision.source || "manual";
+    data.status = current ? current.status : "draft";
+    if (revision.aiSuggestions) data.aiSuggestions = revision.aiSuggestions;
+
+    const saved = await saveResponse(
+      { user: userId, question: question._id },
+      data,
+      req,
+      { action: "revert", revertedFrom: revisionNumber }
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: `Answer reverted to revision ${revisionNumber}`,
+      data: saved
+    });
+  } catch (error) {
+    console.error("Error reverting response:", error);
+    if (error.name === "ValidationError") {
+      return next(createError(400, `Validation error: ${error.message}`));
+    }
+    return next(createError(500, "Internal server error"));
+  }
+};
+
 const getUserResponses = async(req,res,next)=>{
   try {
     const userId = req.user.id || req.user._id
@@ -847,4 +1763,15 @@ const getUserResponses = async(req,res,next)=>{
   }
 }
 
-module.exports = { saveUserResponses, preFillQuestions, getUserResponses };
+module.exports = {
+  saveUserResponses,
+  saveDraftResponses,
+  getQuestionnaireProgress,
+  submitQuestionnaire,
+  preFillQuestions,
+  getUserResponses,
+  getVisibleQuestions,
+  switchCategory,
+  getResponseHistory,
+  revertResponse
+};
@@ -0,0 +1,164 @@
+const archiver = require("archiver");
+const User = require("../models/User");
+const UserResponse = require("../models/UserResponse");
+const ResponseRevision = require("../models/ResponseRevision");
+const Roadmap = require("../models/Roadmap");
+const AIProcessingLog = require("../models/AIProcessingLog");
+const AiLog = require("../models/AiLog");
+const Session = require("../models/Session");
+const createError = require("../utils/error");
+const sendEmail = require("../utils/sendEmail");
+const hashToken = require("../utils/hashToken");
+const { purgeUser } = require("../services/userPurgeService");
+
+// Fields that are credentials or internal security state, never exported
+const USER_SECRET_FIELDS = [
+  "password",
+  "resetPasswordToken",
+  "resetPasswordExpire",
+  "passwordResetOTP",
+  "passwordResetOTPExpire",
+  "passwordResetOTPAttempts",
+  "emailVerificationOTP",
+  "emailChangeOTP",
+  "accountDeletionOTP",
+  "twoFactorSecret",
+  "twoFactorPendingSecret",
+  "twoFactorBackupCodes",
+  "twoFactorLastUsedStep",
+];
+
+/**
+ * GET /api/auth/me/export
+ * Streams a ZIP with one JSON file per collection holding the user's data
+ */
+const exportMyData = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+
+    const [user, responses, revisions, roadmaps, processingLogs, aiLogs, sessions] = await Promise.all([
+      User.findById(userId).populate("roles", "name").lean(),
+      UserResponse.find({ user: userId }).lean(),
+      ResponseRevision.find({ user: userId }).sort({ question: 1, revision: 1 }).lean(),
+      Roadmap.find({ user: userId }).populate("courses.course", "title category").lean(),
+      AIProcessingLog.find({ user: userId }).lean(),
+      AiLog.find({ userId }).select("-reviewedBy -adminNotes").lean(),
+      Session.find({ user: userId }).lean(),
+    ]);
+    if (!user) return next(createError(404, "User not found"));
+
+    USER_SECRET_FIELDS.forEach((field) => delete user[field]);
+
+    const files = {
+      "profile.json": user,
+      "questionnaire-responses.json": responses,
+      "questionnaire-response-history.json": revisions,
+      "roadmaps.json": roadmaps,
+      "document-processing.json": processingLogs,
+      "ai-suggestions.json": aiLogs,
+      "sessions.json": sessions,
+    };
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader("Content-Disposition", `attachment; filename="aspiro-data-export-${stamp}.zip"`);
+
+    const archive = archiver("zip", { zlib: { level: 9 } });
+    archive.on("error", (err) => {
+      console.error("Error building data export:", err);
+      res.destroy(err);
+    });
+    archive.pipe(res);
+
+    archive.append(
+      JSON.stringify({ exportedAt: new Date().toISOString(), userId, files: Object.keys(files) }, null, 2),
+      { name: "README.json" }
+    );
+    for (const [name, data] of Object.entries(files)) {
+      archive.append(JSON.stringify(data, null, 2), { name });
+    }
+
+    await archive.finalize();
+  } catch (err) {
+    if (res.headersSent) return res.destroy(err);
+    return next(createError(500, err.message));
+  }
+};
+
+// POST /api/auth/me/delete-request { password }  -> emails a confirmation code
+const requestAccountDeletion = async (req, res, next) => {
+  try {
+    const { password } = req.body;
+    if (!password) return next(createError(400, "password is required"));
+
+    const user = await User.findById(req.user._id).select("+password");
+    if (!user) return next(createError(404, "User not found"));
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) return next(createError(400, "Password is incorrect"));
+
+    const otp = Math.floor(100000 + Math.random() * 900000).toString();
+    user.accountDeletionOTP = hashToken(otp);
+    user.accountDeletionOTPExpire = new Date(Date.now() + 10 * 60 * 1000); // 10 min
+    user.accountDeletionOTPAttempts = 0;
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendEmail({
+        to: user.email,
+        subject: "Confirm your account deletion",
+        html: `<p>Your code to permanently delete your account and all its data is <b>${otp}</b>. It expires in 10 minutes.</p>` +
+          `<p>If you did not request this, change your password.</p>`,
+      });
+    } catch (e) {
+      user.accountDeletionOTP = undefined;
+      user.accountDeletionOTPExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+      return next(createError(500, "Failed to send confirmation email"));
+    }
+
+    return res.status(200).json({ success: true, message: "A confirmation code has been sent to your email" });
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
+};
+
+// POST /api/auth/me/delete-confirm { otp }  -> permanently erases the account
+const confirmAccountDeletion = async (req, res, next) => {
+  try {
+    const { otp } = req.body;
+    if (!otp) return next(createError(400, "otp is required"));
+
+    const user = await User.findById(req.user._id).select("+accountDeletionOTP");
+    if (!user || !user.accountDeletionOTP || !user.accountDeletionOTPExpire) {
+      return next(createError(400, "Invalid or expired OTP"));
+    }
+    if (user.accountDeletionOTPExpire.getTime() < Date.now()) return next(createError(400, "Invalid or expired OTP"));
+    if (user.accountDeletionOTPAttempts >= 5) return next(createError(429, "Too many attempts"));
+
+    if (hashToken(otp) !== user.accountDeletionOTP) {
+      user.accountDeletionOTPAttempts += 1;
+      await user.save({ validateBeforeSave: false });
+      return next(createError(400, "Invalid or expired OTP"));
+    }
+
+    const email = user.email;
+    await purgeUser(user._id);
+
+    try {
+      await sendEmail({
+        to: email,
+        subject: "Your account has been deleted",
+        html: "<p>Your account and all associated data have been permanently deleted.</p>",
+      });
+    } catch (e) {
+      console.error("Failed to send account deletion notice:", e.message);
+    }
+
+    return res.status(200).json({ success: true, message: "Your account and all associated data have been deleted" });
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
+};
+
+module.exports = { exportMyData, requestAccountDeletion, confirmAccountDeletion };
@@ -1,5 +1,11 @@
 const User = require('../models/User');
 const createError = require('../utils/error');
+const { resetAccountFailures } = require('../services/loginProtection');
+const { revokeAllSessions } = require('../services/sessionService');
+const { RETENTION_DAYS } = require('../services/userPurgeService');
+const { issueInvitation } = require('../services/invitationService');
+const { parseCSV, toCSV } = require('../utils/csv');
+const { recordAudit } = require('../services/auditService');
 
 // Helper to shape user response
 const toDTO = (u) => ({
@@ -7,6 +13,8 @@ const toDTO = (u) => ({
   fullName: u.fullName,
   email: u.email,
   role: u.role,
+  lockUntil: u.lockUntil,
+  deletedAt: u.deletedAt,
   createdAt: u.createdAt,
   updatedAt: u.updatedAt,
 });
@@ -22,6 +30,7 @@ const createUser = async (req, res, next) => {
 
     const user = new User({ fullName, email, password, role });
     await user.save();
+    await recordAudit(req, { action: 'user.create', entityType: 'User', entityId: user._id, before: null, after: user });
     return res.status(201).json({ success: true, user: toDTO(user) });
   } catch (err) {
     return next(createError(500, err.message));
@@ -35,6 +44,7 @@ const updateUser = async (req, res, next) => {
     const { fullName, email, role, password } = req.body;
     const user = await User.findById(id).select('+password');
     if (!user) return next(createError(404, 'User not found'));
+    const before = user.toObject();
 
     if (email && email !== user.email) {
       const emailUsed = await User.findOne({ email, _id: { $ne: id } }).lean();
@@ -46,35 +56,281 @@ const updateUser = async (req, res, next) => {
     if (password) user.password = password; // will hash via pre-save
 
     await user.save();
+    await recordAudit(req, { action: 'user.update', entityType: 'User', entityId: user._id, before, after: user });
     return res.json({ success: true, user: toDTO(user) });
   } catch (err) {
     return next(createError(500, err.message));
   }
 };
 
-// DELETE /api/admin/users/:id
+// DELETE /api/admin/users/:id  (soft delete; purged after the retention window)
 const deleteUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const user = await User.findById(id);
+    if (!user || user.deletedAt) return next(createError(404, 'User not found'));
+    if (String(user._id) === String(req.user._id)) return next(createError(400, 'You cannot delete your own account'));
+
+    user.deletedAt = new Date();
+    user.deletedBy = req.user._id;
+    await user.save({ validateBeforeSave: false });
+    await revokeAllSessions(user._id, 'account-deleted');
+    await recordAudit(req, {
+      action: 'user.delete',
+      entityType: 'User',
+      entityId: user._id,
+      metadata: { email: user.email, fullName: user.fullName, role: user.role }
+    });
+
+    const purgeAfter = new Date(user.deletedAt.getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    return res.json({ success: true, message: 'User deleted', purgeAfter });
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
+};
+
+// POST /api/admin/users/:id/restore
+const restoreUser = async (req, res, next) => {
   try {
     const { id } = req.params;
     const user = await User.findById(id);
     if (!user) return next(createError(404, 'User not found'));
-    await User.deleteOne({ _id: id });
-    return res.json({ success: true, message: 'User deleted' });
+    if (!user.deletedAt) return next(createError(400, 'User is not deleted'));
+
+    user.deletedAt = null;
+    user.deletedBy = undefined;
+    await user.save({ validateBeforeSave: false });
+    await recordAudit(req, { action: 'user.restore', entityType: 'User', entityId: user._id, metadata: { email: user.email } });
+    return res.json({ success: true, message: 'User restored', user: toDTO(user) });
   } catch (err) {
     return next(createError(500, err.message));
   }
 };
 
-// GET /api/admin/users
-const listUsers = async (_req, res, next) => {
+const SORTABLE_FIELDS = ['createdAt', 'updatedAt', 'fullName', 'email', 'role'];
+
+// Shared by listUsers and exportUsers.
+// ?q&role&onboarding=true|false&createdFrom&createdTo&sort=-createdAt&deleted=true
+// Returns { filter, sortSpec } or { error }; role is returned separately so counts can ignore it.
+const buildUserQuery = (query) => {
+  const { q, role, onboarding, createdFrom, createdTo, sort = '-createdAt', deleted } = query;
+  // Soft-deleted users are only listed when explicitly asked for (e.g. the restore view)
+  const filter = { deletedAt: deleted === 'true' ? { $ne: null } : null };
+  if (q) filter.$or = [
+    { fullName: { $regex: q, $options: 'i' } },
+    { email: { $regex: q, $options: 'i' } }
+  ];
+  if (onboarding === 'true') filter.hasCompletedOnboarding = true;
+  if (onboarding === 'false') filter.hasCompletedOnboarding = { $ne: true };
+  if (createdFrom || createdTo) {
+    filter.createdAt = {};
+    if (createdFrom) filter.createdAt.$gte = new Date(createdFrom);
+    if (createdTo) filter.createdAt.$lte = new Date(createdTo);
+    if (Object.values(filter.createdAt).some(d => isNaN(d.getTime()))) {
+      return { error: 'createdFrom/createdTo must be valid dates' };
+    }
+  }
+
+  const sortField = String(sort).replace(/^-/, '');
+  if (!SORTABLE_FIELDS.includes(sortField)) {
+    return { error: `sort must be one of: ${SORTABLE_FIELDS.join(', ')} (prefix with - for descending)` };
+  }
+  const sortSpec = { [sortField]: String(sort).startsWith('-') ? -1 : 1, _id: 1 };
+
+  return { filter, sortSpec, role };
+};
+
+// GET /api/admin/users (with optional filters, sorting & pagination)
+const listUsers = async (req, res, next) => {
   try {
-    // No filters => returns ALL users (admins and non-admins)
-    const users = await User
-      .find({}, 'fullName email role createdAt updatedAt')
-      .sort({ createdAt: -1 })
+    const { page = 1, limit = 20 } = req.query;
+    const { filter, sortSpec, role, error } = buildUserQuery(req.query);
+    if (error) return next(createError(400, error));
+
+    // Role counts ignore the role filter so the UI can show per-role tabs
+    const roleCountFilter = { ...filter };
+    if (role) filter.role = role;
+
+    const skip = (Number(page) - 1) * Number(limit);
+    const [users, total, roleCounts] = await Promise.all([
+      User.find(filter, 'fullName email role hasCompletedOnboarding lockUntil deletedAt createdAt updatedAt')
+        .sort(sortSpec).skip(skip).limit(Number(limit)).lean(),
+      User.countDocuments(filter),
+      User.aggregate([
+        { $match: roleCountFilter },
+        { $group: { _id: '$role', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const counts = roleCounts.reduce((acc, r) => ({ ...acc, [r._id]: r.count }), { admin: 0, user: 0 });
+
+    return res.json({
+      success: true,
+      total,
+      page: Number(page),
+      pages: Math.ceil(total / Number(limit)),
+      counts,
+      users: users.map(u => ({ ...toDTO(u), hasCompletedOnboarding: u.hasCompletedOnboarding }))
+    });
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
+};
+
+const MAX_IMPORT_ROWS = 1000;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const EXPORT_COLUMNS = ['_id', 'fullName', 'email', 'role', 'hasCompletedOnboarding', 'emailVerified', 'createdAt', 'updatedAt', 'deletedAt'];
+
+// Form-data sends flags as strings
+const isTrue = (v) => v === true || v === 'true';
+
+// Read import rows from an uploaded CSV/JSON file or a JSON body { users: [...] }
+const readImportRows = (req) => {
+  if (req.file) {
+    const content = req.file.buffer.toString('utf-8');
+    const name = (req.file.originalname || '').toLowerCase();
+    if (name.endsWith('.csv') || req.file.mimetype === 'text/csv') return parseCSV(content);
+    if (name.endsWith('.json') || req.file.mimetype === 'application/json') {
+      const parsed = JSON.parse(content);
+      return Array.isArray(parsed) ? parsed : parsed.users;
+    }
+    throw new Error('Unsupported file type. Upload a .csv or .json file');
+  }
+  return Array.isArray(req.body) ? req.body : (req.body || {}).users;
+};
+
+// POST /api/admin/users/import  (multipart "file" .csv/.json, or JSON { users: [...] })
+// Options: dryRun, sendInvites (rows without a password get an invitation email instead)
+const importUsers = async (req, res, next) => {
+  try {
+    let rows;
+    try {
+      rows = readImportRows(req);
+    } catch (e) {
+      return next(createError(400, `Could not read import: ${e.message}`));
+    }
+    if (!Array.isArray(rows) || rows.length === 0) return next(createError(400, 'No users to import'));
+    if (rows.length > MAX_IMPORT_ROWS) return next(createError(400, `Import is limited to ${MAX_IMPORT_ROWS} rows`));
+
+    const options = { ...req.query, ...(Array.isArray(req.body) ? {} : req.body || {}) };
+    const dryRun = isTrue(options.dryRun);
+    const sendInvites = isTrue(options.sendInvites);
+
+    const emails = rows.map(r => String((r && r.email) || '').trim()).filter(Boolean);
+    const existing = await User.find({ email: { $in: emails } }, 'email')
+      .collation({ locale: 'en', strength: 2 })
       .lean();
+    const existingEmails = new Set(existing.map(u => u.email.toLowerCase()));
+    const seen = new Set();
+
+    const report = [];
+    for (let i = 0; i < rows.length; i++) {
+      const raw = rows[i] || {};
+      const fullName = String(raw.fullName || '').trim();
+      const email = String(raw.email || '').trim();
+      const role = String(raw.role || 'user').trim();
+      const password = raw.password ? String(raw.password) : '';
+      const errors = [];
+
+      if (!fullName) errors.push('fullName is required');
+      if (!email) errors.push('email is required');
+      else if (!EMAIL_REGEX.test(email)) errors.push('email is invalid');
+      if (!['admin', 'user'].includes(role)) errors.push('role must be admin or user');
+      if (!password && !sendInvites) errors.push('password is required unless sendInvites is enabled');
+
+      const key = email.toLowerCase();
+      if (email && existingEmails.has(key)) errors.push('email already in use');
+      if (email && seen.has(key)) errors.push('duplicate email in import');
+      if (email) seen.add(key);
+
+      // CSV rows are 1-based after the header; JSON rows are reported 1-based too
+      const entry = { row: i + 1, email, status: 'error', errors };
+      if (errors.length) { report.push(entry); continue; }
+
+      const action = password ? 'create' : 'invite';
+      if (dryRun) {
+        entry.status = action === 'create' ? 'would-create' : 'would-invite';
+        report.push(entry);
+        continue;
+      }
+
+      try {
+        if (action === 'create') {
+          const user = new User({ fullName, email, password, role });
+          await user.save();
+          entry.status = 'created';
+          entry.userId = user._id;
+        } else {
+          const { invitation, emailSent } = await issueInvitation({ email, fullName, role, invitedBy: req.user._id });
+          entry.status = 'invited';
+          entry.invitationId = invitation._id;
+          entry.emailSent = emailSent;
+        }
+      } catch (e) {
+        entry.errors.push(e.code === 11000 ? 'email already in use' : e.message);
+      }
+      report.push(entry);
+    }
+
+    const count = (status) => report.filter(r => r.status === status).length;
+    if (!dryRun) {
+      await recordAudit(req, {
+        action: 'user.import',
+        entityType: 'User',
+        metadata: { total: rows.length, created: count('created'), invited: count('invited'), failed: count('error') }
+      });
+    }
+    return res.status(dryRun ? 200 : 201).json({
+      success: true,
+      dryRun,
+      summary: {
+        total: rows.length,
+        created: count('created') + count('would-create'),
+        invited: count('invited') + count('would-invite'),
+        failed: count('error')
+      },
+      rows: report
+    });
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
+};
+
+// GET /api/admin/users/export?format=csv|json (accepts the same filters as listUsers)
+const exportUsers = async (req, res, next) => {
+  try {
+    const { format = 'csv' } = req.query;
+    if (!['csv', 'json'].includes(format)) return next(createError(400, 'format must be csv or json'));
+
+    const { filter, sortSpec, role, error } = buildUserQuery(req.query);
+    if (error) return next(createError(400, error));
+    if (role) filter.role = role;
+
+    const users = await User.find(filter, EXPORT_COLUMNS.join(' ')).sort(sortSpec).lean();
+    const rows = users.map(u => ({ ...u, emailVerified: u.emailVerified !== false }));
+    const filename = `users-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'json') {
+      res.setHeader('Content-Type', 'application/json');
+      return res.send(JSON.stringify(rows.map(r => EXPORT_COLUMNS.reduce((o, c) => ({ ...o, [c]: r[c] }), {})), null, 2));
+    }
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    return res.send(toCSV(rows, EXPORT_COLUMNS));
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
+};
 
-    return res.json({ success: true, total: users.length, users });
+// POST /api/admin/users/:id/unlock
+const unlockUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const user = await User.findById(id);
+    if (!user) return next(createError(404, 'User not found'));
+    await resetAccountFailures(user._id);
+    await recordAudit(req, { action: 'user.unlock', entityType: 'User', entityId: user._id, metadata: { email: user.email } });
+    return res.json({ success: true, message: 'User unlocked' });
   } catch (err) {
     return next(createError(500, err.message));
   }
@@ -92,4 +348,4 @@ const getUser = async (req, res, next) => {
   }
 };
 
-module.exports = { createUser, updateUser, deleteUser, listUsers, getUser };
+module.exports = { createUser, updateUser, deleteUser, restoreUser, listUsers, getUser, unlockUser, importUsers, exportUsers };
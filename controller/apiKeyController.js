@@ -0,0 +1,118 @@
+const ApiKey = require('../models/ApiKey');
+const createError = require('../utils/error');
+const { recordAudit } = require('../services/auditService');
+const { issueApiKey, reissueApiKey, MAX_ROTATION_GRACE_MINUTES } = require('../services/apiKeyService');
+const { API_KEY_SCOPES, isValidApiKeyScope } = require('../utils/permissions');
+
+const MAX_EXPIRY_DAYS = 365 * 2;
+
+const toDTO = (k) => ({
+  _id: k._id,
+  name: k.name,
+  prefix: k.prefix,
+  scopes: k.scopes,
+  status: k.status,
+  createdBy: k.createdBy,
+  expiresAt: k.expiresAt,
+  rotatedAt: k.rotatedAt,
+  previousKeyExpiresAt: k.previousKeyExpiresAt && k.previousKeyExpiresAt.getTime() > Date.now() ? k.previousKeyExpiresAt : undefined,
+  lastUsedAt: k.lastUsedAt,
+  lastUsedIp: k.lastUsedIp,
+  revokedAt: k.revokedAt,
+  createdAt: k.createdAt
+});
+
+const validateScopes = (scopes) => {
+  if (!Array.isArray(scopes) || scopes.length === 0) return 'scopes must be a non-empty array';
+  const unknown = scopes.filter(s => !isValidApiKeyScope(s));
+  if (unknown.length) return `Unknown scopes: ${unknown.join(', ')}`;
+  return null;
+};
+
+// GET /api/admin/api-keys?status=active|revoked|expired
+const listApiKeys = async (req, res, next) => {
+  try {
+    const keys = await ApiKey.find().populate('createdBy', 'fullName email').sort({ createdAt: -1 });
+    const { status } = req.query;
+    const filtered = status ? keys.filter(k => k.status === status) : keys;
+    return res.json({
+      success: true,
+      scopes: Object.entries(API_KEY_SCOPES).map(([key, description]) => ({ key, description })),
+      apiKeys: filtered.map(toDTO)
+    });
+  } catch (err) { return next(createError(500, err.message)); }
+};
+
+// POST /api/admin/api-keys { name, scopes, expiresInDays? }  -> the key is only returned here
+const createApiKey = async (req, res, next) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body || {};
+    if (!name || !String(name).trim()) return next(createError(400, 'name is required'));
+    const scopeError = validateScopes(scopes);
+    if (scopeError) return next(createError(400, scopeError));
+
+    let expiresAt;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = Number(expiresInDays);
+      if (!days || days <= 0 || days > MAX_EXPIRY_DAYS) {
+        return next(createError(400, `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}`));
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const { apiKey, key } = await issueApiKey({ name, scopes: [...new Set(scopes)], expiresAt, createdBy: req.user._id });
+    await recordAudit(req, {
+      action: 'api-key.create',
+      entityType: 'ApiKey',
+      entityId: apiKey._id,
+      metadata: { name: apiKey.name, prefix: apiKey.prefix, scopes: apiKey.scopes, expiresAt }
+    });
+    return res.status(201).json({ success: true, message: 'Store this key now; it will not be shown again', key, apiKey: toDTO(apiKey) });
+  } catch (err) { return next(createError(500, err.message)); }
+};
+
+// POST /api/admin/api-keys/:id/rotate { graceMinutes? }  -> new key; the old one works until the grace period ends
+const rotateApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id).catch(() => null);
+    if (!apiKey) return next(createError(404, 'API key not found'));
+    if (!apiKey.isActive()) return next(createError(400, `Cannot rotate a ${apiKey.status} API key`));
+
+    const graceMinutes = Number((req.body || {}).graceMinutes || 0);
+    if (!(graceMinutes >= 0) || graceMinutes > MAX_ROTATION_GRACE_MINUTES) {
+      return next(createError(400, `graceMinutes must be between 0 and ${MAX_ROTATION_GRACE_MINUTES}`));
+    }
+
+    const { apiKey: rotated, key } = await reissueApiKey(apiKey, { graceMinutes });
+    await recordAudit(req, {
+      action: 'api-key.rotate',
+      entityType: 'ApiKey',
+      entityId: rotated._id,
+      metadata: { name: rotated.name, prefix: rotated.prefix, graceMinutes }
+    });
+    return res.json({ success: true, message: 'Store this key now; it will not be shown again', key, apiKey: toDTO(rotated) });
+  } catch (err) { return next(createError(500, err.message)); }
+};
+
+// DELETE /api/admin/api-keys/:id
+const revokeApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id).catch(() => null);
+    if (!apiKey) return next(createError(404, 'API key not found'));
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      apiKey.revokedBy = req.user._id;
+      await apiKey.save();
+      await recordAudit(req, {
+        action: 'api-key.revoke',
+        entityType: 'ApiKey',
+        entityId: apiKey._id,
+        metadata: { name: apiKey.name, prefix: apiKey.prefix }
+      });
+    }
+    return res.json({ success: true, message: 'API key revoked', apiKey: toDTO(apiKey) });
+  } catch (err) { return next(createError(500, err.message)); }
+};
+
+module.exports = { listApiKeys, createApiKey, rotateApiKey, revokeApiKey };
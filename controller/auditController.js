@@ -0,0 +1,58 @@
+const AuditLog = require('../models/AuditLog');
+const createError = require('../utils/error');
+
+// GET /api/admin/audit
+// ?page&limit&actor&impersonator&action&entityType&entityId&from&to&q
+const listAuditLogs = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50, actor, impersonator, action, entityType, entityId, from, to, q } = req.query;
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (impersonator) filter.impersonator = impersonator;
+    // "user." matches every user action, "user.update" only that one
+    if (action) filter.action = action.endsWith('.') ? { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` } : action;
+    if (entityType) filter.entityType = entityType;
+    if (entityId) filter.entityId = entityId;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+      if (Object.values(filter.createdAt).some(d => isNaN(d.getTime()))) {
+        return next(createError(400, 'from/to must be valid dates'));
+      }
+    }
+    if (q) filter.$or = [
+      { action: { $regex: q, $options: 'i' } },
+      { path: { $regex: q, $options: 'i' } },
+      { entityId: q }
+    ];
+
+    const skip = (Number(page) - 1) * Number(limit);
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor', 'fullName email role')
+        .populate('impersonator', 'fullName email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    return res.json({ success: true, total, page: Number(page), pages: Math.ceil(total / Number(limit)), logs });
+  } catch (err) { return next(createError(500, err.message)); }
+};
+
+// GET /api/admin/audit/:id
+const getAuditLog = async (req, res, next) => {
+  try {
+    const log = await AuditLog.findById(req.params.id)
+      .populate('actor', 'fullName email role')
+      .populate('impersonator', 'fullName email')
+      .lean();
+    if (!log) return next(createError(404, 'Audit log not found'));
+    return res.json({ success: true, log });
+  } catch (err) { return next(createError(500, err.message)); }
+};
+
+module.exports = { listAuditLogs, getAuditLog };
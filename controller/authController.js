@@ -1,12 +1,73 @@
 const User = require("../models/User");
-const createError = require("../utils/error");
 const jwt = require("jsonwebtoken");
-const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const createError = require("../utils/error");
 const sendEmail = require("../utils/sendEmail");
+const hashToken = require("../utils/hashToken");
+const Session = require("../models/Session");
+const {
+  getIpLock,
+  recordIpFailure,
+  recordAccountFailure,
+  resetAccountFailures,
+} = require("../services/loginProtection");
+const SecurityPolicy = require("../models/SecurityPolicy");
+const { checkSecondFactor } = require("../services/twoFactorService");
+const { createSession, rotateSession, revokeSession, revokeAllSessions } = require("../services/sessionService");
+
+// Public shape of a user returned by auth endpoints (never includes hashes or OTPs)
+const toDTO = (u) => ({
+  _id: u._id,
+  fullName: u.fullName,
+  email: u.email,
+  role: u.role,
+  emailVerified: u.emailVerified !== false,
+  hasCompletedOnboarding: u.hasCompletedOnboarding,
+  category: u.category || null
+});
+
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+const VERIFICATION_MAX_SENDS_PER_HOUR = 5;
+
+// Compared against when the email is unknown so the response takes as long as a real password check
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("dummy-password", 10);
+
+const generateOTP = () => Math.floor(100000 + Math.random() * 900000).toString();
+
+// Issue a fresh email verification OTP and send it. Returns false if sending failed.
+const sendVerificationOTP = async (user) => {
+  const otp = generateOTP();
+  const now = new Date();
+
+  if (!user.emailVerificationSendWindowStart || now - user.emailVerificationSendWindowStart > 60 * 60 * 1000) {
+    user.emailVerificationSendWindowStart = now;
+    user.emailVerificationSendCount = 0;
+  }
+  user.emailVerificationOTP = hashToken(otp);
+  user.emailVerificationOTPExpire = new Date(now.getTime() + 30 * 60 * 1000); // 30 min
+  user.emailVerificationOTPAttempts = 0;
+  user.emailVerificationSentAt = now;
+  user.emailVerificationSendCount += 1;
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendEmail({
+      to: user.email,
+      subject: 'Verify your email address',
+      html: `<p>Your verification code is <b>${otp}</b>. It expires in 30 minutes.</p>`
+    });
+    return true;
+  } catch (e) {
+    console.error('Failed to send verification email:', e.message);
+    return false;
+  }
+};
 
 const register = async (req, res, next) => {
   try {
-    const { fullName, email, password, role } = req.body;
+    // role is intentionally ignored: public sign-ups are always "user",
+    // elevated roles are granted through admin invitations
+    const { fullName, email, password } = req.body;
 
     if (!fullName || !email || !password) {
       return next(createError(400, "All fields are required"));
@@ -17,15 +78,18 @@ const register = async (req, res, next) => {
       return next(createError(400, "User already exists"));
     }
 
-    const newUser = new User({ fullName, email, password, role });
+    const newUser = new User({ fullName, email, password, role: "user", emailVerified: false });
     await newUser.save();
 
-    // newUser.password = undefined;
+    const verificationEmailSent = await sendVerificationOTP(newUser);
 
     return res.status(201).json({
       success: true,
-      message: "User created successfully",
-      user: newUser,
+      message: verificationEmailSent
+        ? "User created successfully. A verification code has been sent to your email."
+        : "User created successfully, but the verification email could not be sent. Please request a new code.",
+      verificationEmailSent,
+      user: toDTO(newUser),
     });
   } catch (err) {
     return next(createError(500, err.message));
@@ -40,31 +104,112 @@ const login = async (req, res, next) => {
       return next(createError(400, "Email and password are required"));
     }
 
-    const user = await User.findOne({ email });
+    if (await getIpLock(req.ip)) {
+      return next(createError(429, "Too many failed login attempts. Please try again later"));
+    }
+
+    // Same error and the same bcrypt work for unknown, locked and wrong-password
+    // attempts so accounts cannot be enumerated. The owner learns about a lock by email.
+    const invalidCredentials = createError(401, "Invalid email or password");
+
+    const user = await User.findOne({ email, deletedAt: null });
     if (!user) {
-      return next(createError(404, "User not found"));
+      await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+      await recordIpFailure(req.ip);
+      return next(invalidCredentials);
     }
 
     const isMatch = await user.comparePassword(password);
+
+    if (user.isLocked()) {
+      await recordIpFailure(req.ip);
+      return next(invalidCredentials);
+    }
+
     if (!isMatch) {
-      return next(createError(400, "Invalid credentials"));
+      await recordIpFailure(req.ip);
+      await recordAccountFailure(user, req.ip);
+      return next(invalidCredentials);
+    }
+
+    // Only the account's counters reset on success. The IP window expires on its own, otherwise
+    // an attacker could reset the per-IP limit by logging into an account of their own
+    if (user.failedLoginAttempts || user.lockCount) await resetAccountFailures(user._id);
+
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && user.emailVerified === false) {
+      return next(createError(403, "Please verify your email address before logging in"));
     }
 
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: "1h",
+    if (user.twoFactorEnabled) {
+      const challengeToken = jwt.sign({ id: user._id, purpose: "two-factor" }, process.env.JWT_SECRET, {
+        expiresIn: "5m",
+      });
+      return res.status(200).json({
+        success: true,
+        message: "Two-factor authentication required",
+        twoFactorRequired: true,
+        challengeToken,
+      });
+    }
+
+    const { accessToken, refreshToken } = await createSession(user, req);
+    const policy = await SecurityPolicy.getPolicy();
+
+    return res.status(200).json({
+      success: true,
+      message: "Login successful",
+      token: accessToken,
+      refreshToken,
+      twoFactorSetupRequired: user.role === "admin" && policy.requireAdminTwoFactor,
+      user: toDTO(user),
     });
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
+};
+
+// POST /api/auth/login/2fa { challengeToken, code | backupCode }
+const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+    if (!challengeToken || (!code && !backupCode)) {
+      return next(createError(400, "challengeToken and code or backupCode are required"));
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (e) {
+      return next(createError(401, "Login challenge expired. Please log in again"));
+    }
+    if (!decoded || decoded.purpose !== "two-factor" || !decoded.id) {
+      return next(createError(401, "Invalid login challenge"));
+    }
+
+    const user = await User.findById(decoded.id).select("+twoFactorSecret +twoFactorBackupCodes +twoFactorLastUsedStep");
+    if (!user || !user.twoFactorEnabled) return next(createError(401, "Invalid login challenge"));
+    if (user.isLocked()) {
+      return next(createError(423, "Account temporarily locked due to failed login attempts. Please try again later or reset your password"));
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    if (!(await checkSecondFactor(user, { code, backupCode }))) {
+      await recordIpFailure(req.ip);
+      const locked = await recordAccountFailure(user, req.ip);
+      if (locked) {
+        return next(createError(423, "Account temporarily locked due to failed login attempts. Please try again later or reset your password"));
+      }
+      return next(createError(401, "Invalid two-factor code"));
+    }
+
+    const { accessToken, refreshToken } = await createSession(user, req);
 
     return res.status(200).json({
       success: true,
       message: "Login successful",
-      token,
-      user: { 
-        _id: user._id, 
-        fullName: user.fullName, 
-        email: user.email, 
-        role: user.role,
-        hasCompletedOnboarding: user.hasCompletedOnboarding
-      },
+      token: accessToken,
+      refreshToken,
+      user: toDTO(user),
     });
   } catch (err) {
     return next(createError(500, err.message));
@@ -77,13 +222,13 @@ const forgotPassword = async (req, res, next) => {
     const { email } = req.body;
     if (!email) return next(createError(400, "Email is required"));
 
-    const user = await User.findOne({ email });
+    const user = await User.findOne({ email, deletedAt: null });
     const generic = { success: true, message: "If that email exists, an OTP has been sent." };
     if (!user) return res.status(200).json(generic); // no enumeration
 
     // generate 6 digit OTP
     const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    const hashed = crypto.createHash('sha256').update(otp).digest('hex');
+    const hashed = hashToken(otp);
 
     user.passwordResetOTP = hashed;
     user.passwordResetOTPExpire = new Date(Date.now() + 10 * 60 * 1000); // 10 min
@@ -115,13 +260,13 @@ const resetPassword = async (req, res, next) => {
     const { email, otp, newPassword } = req.body;
     if (!email || !otp || !newPassword) return next(createError(400, 'Email, otp and newPassword are required'));
 
-    const user = await User.findOne({ email }).select('+passwordResetOTP +password');
+    const user = await User.findOne({ email, deletedAt: null }).select('+passwordResetOTP +password');
     if (!user || !user.passwordResetOTP || !user.passwordResetOTPExpire) return next(createError(400, 'Invalid or expired OTP'));
 
     if (user.passwordResetOTPExpire.getTime() < Date.now()) return next(createError(400, 'Invalid or expired OTP'));
     if (user.passwordResetOTPAttempts >= 5) return next(createError(429, 'Too many attempts'));
 
-    const hashed = crypto.createHash('sha256').update(otp).digest('hex');
+    const hashed = hashToken(otp);
     if (hashed !== user.passwordResetOTP) {
       user.passwordResetOTPAttempts += 1;
       await user.save({ validateBeforeSave: false });
@@ -133,6 +278,8 @@ const resetPassword = async (req, res, next) => {
     user.passwordResetOTPExpire = undefined;
     user.passwordResetOTPAttempts = 0;
     await user.save();
+    await revokeAllSessions(user._id, "password-reset");
+    await resetAccountFailures(user._id);
 
     return res.status(200).json({ success: true, message: 'Password reset successful' });
   } catch (err) {
@@ -140,4 +287,149 @@ const resetPassword = async (req, res, next) => {
   }
 };
 
-module.exports = { register, login, forgotPassword, resetPassword };
+// POST /api/auth/verify-email { email, otp }
+const verifyEmail = async (req, res, next) => {
+  try {
+    const { email, otp } = req.body;
+    if (!email || !otp) return next(createError(400, 'Email and otp are required'));
+
+    const user = await User.findOne({ email, deletedAt: null }).select('+emailVerificationOTP');
+    if (!user) return next(createError(400, 'Invalid or expired OTP'));
+    if (user.emailVerified !== false) {
+      return res.status(200).json({ success: true, message: 'Email already verified' });
+    }
+    if (!user.emailVerificationOTP || !user.emailVerificationOTPExpire) return next(createError(400, 'Invalid or expired OTP'));
+
+    if (user.emailVerificationOTPExpire.getTime() < Date.now()) return next(createError(400, 'Invalid or expired OTP'));
+    if (user.emailVerificationOTPAttempts >= 5) return next(createError(429, 'Too many attempts'));
+
+    if (hashToken(otp) !== user.emailVerificationOTP) {
+      user.emailVerificationOTPAttempts += 1;
+      await user.save({ validateBeforeSave: false });
+      return next(createError(400, 'Invalid or expired OTP'));
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationOTP = undefined;
+    user.emailVerificationOTPExpire = undefined;
+    user.emailVerificationOTPAttempts = 0;
+    await user.save({ validateBeforeSave: false });
+
+    return res.status(200).json({ success: true, message: 'Email verified successfully' });
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
+};
+
+// POST /api/auth/resend-verification { email }
+const resendVerification = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+    if (!email) return next(createError(400, 'Email is required'));
+
+    const generic = { success: true, message: 'If that email needs verification, a new code has been sent.' };
+    const user = await User.findOne({ email, deletedAt: null });
+    if (!user || user.emailVerified !== false) return res.status(200).json(generic); // no enumeration
+
+    const now = Date.now();
+    if (user.emailVerificationSentAt && now - user.emailVerificationSentAt.getTime() < VERIFICATION_RESEND_COOLDOWN_MS) {
+      return next(createError(429, 'Please wait a minute before requesting another code'));
+    }
+    const windowOpen = user.emailVerificationSendWindowStart && now - user.emailVerificationSendWindowStart.getTime() <= 60 * 60 * 1000;
+    if (windowOpen && user.emailVerificationSendCount >= VERIFICATION_MAX_SENDS_PER_HOUR) {
+      return next(createError(429, 'Too many verification emails requested. Try again later'));
+    }
+
+    const sent = await sendVerificationOTP(user);
+    if (!sent) return next(createError(500, 'Failed to send verification email'));
+
+    return res.status(200).json(generic);
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
+};
+
+// POST /api/auth/refresh { refreshToken }
+const refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return next(createError(400, "refreshToken is required"));
+
+    const rotated = await rotateSession(refreshToken, req);
+    if (!rotated) return next(createError(401, "Invalid or expired refresh token"));
+
+    return res.status(200).json({
+      success: true,
+      token: rotated.accessToken,
+      refreshToken: rotated.refreshToken,
+    });
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
+};
+
+// POST /api/auth/logout  (revokes the session of the current access token)
+const logout = async (req, res, next) => {
+  try {
+    await revokeSession(req.sessionId, req.user._id, "logout");
+    return res.status(200).json({ success: true, message: "Logged out" });
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
+};
+
+// GET /api/auth/sessions
+const listSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      impersonatedBy: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    return res.status(200).json({
+      success: true,
+      sessions: sessions.map((s) => ({
+        _id: s._id,
+        deviceId: s.deviceId,
+        deviceName: s.deviceName,
+        userAgent: s.userAgent,
+        ip: s.ip,
+        createdAt: s.createdAt,
+        lastUsedAt: s.lastUsedAt,
+        expiresAt: s.expiresAt,
+        current: String(s._id) === String(req.sessionId),
+      })),
+    });
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
+};
+
+// DELETE /api/auth/sessions/:id
+const deleteSession = async (req, res, next) => {
+  try {
+    const session = await revokeSession(req.params.id, req.user._id, "revoked-by-user");
+    if (!session) return next(createError(404, "Session not found"));
+    return res.status(200).json({ success: true, message: "Session revoked" });
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  verifyTwoFactorLogin,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  refresh,
+  logout,
+  listSessions,
+  deleteSession,
+};
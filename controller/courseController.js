@@ -1,5 +1,6 @@
 const Course = require('../models/Course');
 const createError = require('../utils/error');
+const { recordAudit } = require('../services/auditService');
 
 const toDTO = (c) => ({
   _id: c._id,
@@ -23,6 +24,7 @@ const createCourse = async (req, res, next) => {
       return next(createError(400, 'title, category, durationWeeks, instructor, price are required'));
     }
     const course = await Course.create({ title, category, durationWeeks, instructor, price, status, description });
+    await recordAudit(req, { action: 'course.create', entityType: 'Course', entityId: course._id, before: null, after: course });
     return res.status(201).json({ success: true, course: toDTO(course) });
   } catch (err) { return next(createError(500, err.message)); }
 };
@@ -59,8 +61,11 @@ const updateCourse = async (req, res, next) => {
   try {
     const updates = (({ title, category, durationWeeks, instructor, students, status, price, description }) => ({ title, category, durationWeeks, instructor, students, status, price, description }))(req.body);
     Object.keys(updates).forEach(k => updates[k] === undefined && delete updates[k]);
+    const before = await Course.findById(req.params.id).lean();
+    if (!before) return next(createError(404, 'Course not found'));
     const course = await Course.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
     if (!course) return next(createError(404, 'Course not found'));
+    await recordAudit(req, { action: 'course.update', entityType: 'Course', entityId: course._id, before, after: course });
     return res.json({ success: true, course: toDTO(course) });
   } catch (err) { return next(createError(500, err.message)); }
 };
@@ -71,6 +76,7 @@ const deleteCourse = async (req, res, next) => {
     const course = await Course.findById(req.params.id);
     if (!course) return next(createError(404, 'Course not found'));
     await Course.deleteOne({ _id: course._id });
+    await recordAudit(req, { action: 'course.delete', entityType: 'Course', entityId: course._id, before: course, after: null });
     return res.json({ success: true, message: 'Course deleted' });
   } catch (err) { return next(createError(500, err.message)); }
 };
@@ -0,0 +1,38 @@
+const User = require('../models/User');
+const createError = require('../utils/error');
+const { recordAudit } = require('../services/auditService');
+const { createImpersonationSession } = require('../services/sessionService');
+
+// POST /api/admin/users/:id/impersonate { reason }
+const impersonateUser = async (req, res, next) => {
+  try {
+    const { reason } = req.body || {};
+    if (!reason || !String(reason).trim()) return next(createError(400, 'reason is required'));
+    if (req.impersonatedBy) return next(createError(403, 'Not allowed while impersonating a user'));
+
+    const target = await User.findById(req.params.id);
+    if (!target || target.deletedAt) return next(createError(404, 'User not found'));
+    if (target.role === 'admin') return next(createError(403, 'Admin accounts cannot be impersonated'));
+
+    const { accessToken, session } = await createImpersonationSession(req.user, target, String(reason).trim(), req);
+
+    await recordAudit(req, {
+      action: 'impersonation.start',
+      entityType: 'User',
+      entityId: target._id,
+      metadata: { sessionId: session._id, reason: session.impersonationReason, expiresAt: session.expiresAt }
+    });
+
+    return res.status(201).json({
+      success: true,
+      impersonation: true,
+      token: accessToken,
+      expiresAt: session.expiresAt,
+      user: { _id: target._id, fullName: target.fullName, email: target.email, role: target.role, hasCompletedOnboarding: target.hasCompletedOnboarding }
+    });
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
+};
+
+module.exports = { impersonateUser };
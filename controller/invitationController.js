@@ -0,0 +1,129 @@
+const jwt = require('jsonwebtoken');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const createError = require('../utils/error');
+const { recordAudit } = require('../services/auditService');
+const { issueInvitation, DEFAULT_EXPIRY_HOURS, MAX_EXPIRY_HOURS } = require('../services/invitationService');
+
+const toDTO = (i) => ({
+  _id: i._id,
+  email: i.email,
+  fullName: i.fullName,
+  role: i.role,
+  status: i.status,
+  invitedBy: i.invitedBy,
+  expiresAt: i.expiresAt,
+  acceptedAt: i.acceptedAt,
+  revokedAt: i.revokedAt,
+  createdAt: i.createdAt
+});
+
+// POST /api/admin/invitations { email, role, fullName?, expiresInHours? }
+const createInvitation = async (req, res, next) => {
+  try {
+    const { email, fullName, role = 'user', expiresInHours = DEFAULT_EXPIRY_HOURS } = req.body;
+    if (!email) return next(createError(400, 'email is required'));
+    if (!['admin', 'user'].includes(role)) return next(createError(400, 'role must be admin or user'));
+
+    const hours = Number(expiresInHours);
+    if (!hours || hours <= 0 || hours > MAX_EXPIRY_HOURS) {
+      return next(createError(400, `expiresInHours must be between 1 and ${MAX_EXPIRY_HOURS}`));
+    }
+
+    const exists = await User.findOne({ email }).lean();
+    if (exists) return next(createError(400, 'Email already in use'));
+
+    const { invitation, token, emailSent } = await issueInvitation({
+      email,
+      fullName,
+      role,
+      invitedBy: req.user._id,
+      expiresInHours: hours
+    });
+
+    await recordAudit(req, {
+      action: 'invitation.create',
+      entityType: 'Invitation',
+      entityId: invitation._id,
+      metadata: { email, role, expiresAt: invitation.expiresAt, emailSent }
+    });
+
+    // The token is returned so admins can share it manually if email delivery fails
+    return res.status(201).json({ success: true, emailSent, token, invitation: toDTO(invitation) });
+  } catch (err) { return next(createError(500, err.message)); }
+};
+
+// GET /api/admin/invitations
+const listInvitations = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, q } = req.query;
+    const filter = {};
+    if (q) filter.email = { $regex: q, $options: 'i' };
+
+    const skip = (Number(page) - 1) * Number(limit);
+    const [invitations, total] = await Promise.all([
+      Invitation.find(filter).sort({ createdAt: -1 }).skip(skip).limit(Number(limit)),
+      Invitation.countDocuments(filter)
+    ]);
+    return res.json({ success: true, total, page: Number(page), pages: Math.ceil(total / Number(limit)), invitations: invitations.map(toDTO) });
+  } catch (err) { return next(createError(500, err.message)); }
+};
+
+// DELETE /api/admin/invitations/:id
+const revokeInvitation = async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+    if (!invitation) return next(createError(404, 'Invitation not found'));
+    if (invitation.acceptedAt) return next(createError(400, 'Invitation already accepted'));
+
+    invitation.revokedAt = invitation.revokedAt || new Date();
+    await invitation.save();
+    await recordAudit(req, { action: 'invitation.revoke', entityType: 'Invitation', entityId: invitation._id, metadata: { email: invitation.email } });
+    return res.json({ success: true, invitation: toDTO(invitation) });
+  } catch (err) { return next(createError(500, err.message)); }
+};
+
+// POST /api/auth/accept-invitation { token, password, fullName? }
+const acceptInvitation = async (req, res, next) => {
+  try {
+    const { token, password, fullName } = req.body;
+    if (!token || !password) return next(createError(400, 'token and password are required'));
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (e) {
+      return next(createError(400, 'Invalid or expired invitation'));
+    }
+    if (!decoded || decoded.purpose !== 'invitation' || !decoded.inv) {
+      return next(createError(400, 'Invalid or expired invitation'));
+    }
+
+    const invitation = await Invitation.findById(decoded.inv);
+    if (!invitation || invitation.status !== 'pending') {
+      return next(createError(400, 'Invalid or expired invitation'));
+    }
+
+    const name = fullName || invitation.fullName;
+    if (!name) return next(createError(400, 'fullName is required'));
+
+    const exists = await User.findOne({ email: invitation.email }).lean();
+    if (exists) return next(createError(400, 'Email already in use'));
+
+    // Receiving the invitation email proves ownership of the address
+    const user = new User({ fullName: name, email: invitation.email, password, role: invitation.role, emailVerified: true });
+    await user.save();
+
+    invitation.acceptedAt = new Date();
+    invitation.acceptedUser = user._id;
+    await invitation.save();
+
+    return res.status(201).json({
+      success: true,
+      message: 'Invitation accepted. You can now log in.',
+      user: { _id: user._id, fullName: user.fullName, email: user.email, role: user.role }
+    });
+  } catch (err) { return next(createError(500, err.message)); }
+};
+
+module.exports = { createInvitation, listInvitations, revokeInvitation, acceptInvitation };
@@ -1,5 +1,6 @@
 const Major = require('../models/Major');
 const createHttpError = require('../utils/error');
+const { recordAudit } = require('../services/auditService');
 
 // Create Major
 exports.createMajor = async (req, res, next) => {
@@ -10,6 +11,7 @@ exports.createMajor = async (req, res, next) => {
     if(existing) return next(createHttpError(409, 'Major with this name already exists'));
 
     const major = await Major.create({ name, description, department, students, courses, status });
+    await recordAudit(req, { action: 'major.create', entityType: 'Major', entityId: major._id, before: null, after: major });
     res.status(201).json({ success: true, data: major });
   } catch (err) { next(err); }
 };
@@ -50,8 +52,11 @@ exports.updateMajor = async (req, res, next) => {
       const exists = await Major.findOne({ name: updates.name, _id: { $ne: req.params.id } });
       if(exists) return next(createHttpError(409, 'Another major with this name already exists'));
     }
+    const before = await Major.findById(req.params.id).lean();
+    if(!before) return next(createHttpError(404, 'Major not found'));
     const major = await Major.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
     if(!major) return next(createHttpError(404, 'Major not found'));
+    await recordAudit(req, { action: 'major.update', entityType: 'Major', entityId: major._id, before, after: major });
     res.json({ success: true, data: major });
   } catch (err) { next(err); }
 };
@@ -61,6 +66,7 @@ exports.deleteMajor = async (req, res, next) => {
   try {
     const major = await Major.findByIdAndDelete(req.params.id);
     if(!major) return next(createHttpError(404, 'Major not found'));
+    await recordAudit(req, { action: 'major.delete', entityType: 'Major', entityId: major._id, before: major, after: null });
     res.json({ success: true, message: 'Major deleted' });
   } catch (err) { next(err); }
 };
@@ -0,0 +1,175 @@
+const User = require("../models/User");
+const createError = require("../utils/error");
+const sendEmail = require("../utils/sendEmail");
+const hashToken = require("../utils/hashToken");
+const { revokeAllSessions } = require("../services/sessionService");
+
+const toDTO = (u) => ({
+  _id: u._id,
+  fullName: u.fullName,
+  email: u.email,
+  pendingEmail: u.pendingEmail,
+  role: u.role,
+  emailVerified: u.emailVerified !== false,
+  twoFactorEnabled: !!u.twoFactorEnabled,
+  hasCompletedOnboarding: u.hasCompletedOnboarding,
+  category: u.category || null,
+  createdAt: u.createdAt,
+  updatedAt: u.updatedAt,
+});
+
+// GET /api/auth/me
+const getMe = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) return next(createError(404, "User not found"));
+    return res.status(200).json({ success: true, user: toDTO(user), impersonatedBy: req.impersonatedBy || null });
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
+};
+
+// PATCH /api/auth/me { fullName }
+const updateMe = async (req, res, next) => {
+  try {
+    const { fullName, email } = req.body;
+    if (email !== undefined) {
+      return next(createError(400, "Use POST /api/auth/me/email to change your email address"));
+    }
+    if (fullName === undefined) return next(createError(400, "Nothing to update"));
+    if (typeof fullName !== "string" || !fullName.trim()) return next(createError(400, "fullName cannot be empty"));
+
+    const user = await User.findById(req.user._id);
+    if (!user) return next(createError(404, "User not found"));
+    user.fullName = fullName.trim();
+    await user.save({ validateBeforeSave: false });
+
+    return res.status(200).json({ success: true, user: toDTO(user) });
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
+};
+
+// POST /api/auth/change-password { currentPassword, newPassword }
+const changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) return next(createError(400, "currentPassword and newPassword are required"));
+    if (currentPassword === newPassword) return next(createError(400, "New password must be different from the current one"));
+
+    const user = await User.findById(req.user._id).select("+password");
+    if (!user) return next(createError(404, "User not found"));
+
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) return next(createError(400, "Current password is incorrect"));
+
+    user.password = newPassword;
+    await user.save();
+
+    // Keep the current device signed in, sign out everywhere else
+    await revokeAllSessions(user._id, "password-changed", req.sessionId);
+
+    return res.status(200).json({ success: true, message: "Password changed successfully" });
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
+};
+
+// POST /api/auth/me/email { newEmail, password }  -> sends an OTP to the new address
+const requestEmailChange = async (req, res, next) => {
+  try {
+    const { newEmail, password } = req.body;
+    if (!newEmail || !password) return next(createError(400, "newEmail and password are required"));
+
+    const user = await User.findById(req.user._id).select("+password");
+    if (!user) return next(createError(404, "User not found"));
+    if (newEmail === user.email) return next(createError(400, "This is already your email address"));
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) return next(createError(400, "Password is incorrect"));
+
+    const emailUsed = await User.findOne({ email: newEmail, _id: { $ne: user._id } }).lean();
+    if (emailUsed) return next(createError(400, "Email already in use"));
+
+    const otp = Math.floor(100000 + Math.random() * 900000).toString();
+    user.pendingEmail = newEmail;
+    user.emailChangeOTP = hashToken(otp);
+    user.emailChangeOTPExpire = new Date(Date.now() + 10 * 60 * 1000); // 10 min
+    user.emailChangeOTPAttempts = 0;
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendEmail({
+        to: newEmail,
+        subject: "Confirm your new email address",
+        html: `<p>Your code to confirm this email address is <b>${otp}</b>. It expires in 10 minutes.</p>`,
+      });
+    } catch (e) {
+      user.pendingEmail = undefined;
+      user.emailChangeOTP = undefined;
+      user.emailChangeOTPExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+      return next(createError(500, "Failed to send confirmation email"));
+    }
+
+    return res.status(200).json({ success: true, message: `A confirmation code has been sent to ${newEmail}` });
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
+};
+
+// POST /api/auth/me/email/confirm { otp }
+const confirmEmailChange = async (req, res, next) => {
+  try {
+    const { otp } = req.body;
+    if (!otp) return next(createError(400, "otp is required"));
+
+    const user = await User.findById(req.user._id).select("+emailChangeOTP");
+    if (!user || !user.pendingEmail || !user.emailChangeOTP || !user.emailChangeOTPExpire) {
+      return next(createError(400, "Invalid or expired OTP"));
+    }
+    if (user.emailChangeOTPExpire.getTime() < Date.now()) return next(createError(400, "Invalid or expired OTP"));
+    if (user.emailChangeOTPAttempts >= 5) return next(createError(429, "Too many attempts"));
+
+    if (hashToken(otp) !== user.emailChangeOTP) {
+      user.emailChangeOTPAttempts += 1;
+      await user.save({ validateBeforeSave: false });
+      return next(createError(400, "Invalid or expired OTP"));
+    }
+
+    // The address may have been taken while the OTP was pending
+    const emailUsed = await User.findOne({ email: user.pendingEmail, _id: { $ne: user._id } }).lean();
+    if (emailUsed) return next(createError(400, "Email already in use"));
+
+    const oldEmail = user.email;
+    user.email = user.pendingEmail;
+    user.emailVerified = true;
+    user.pendingEmail = undefined;
+    user.emailChangeOTP = undefined;
+    user.emailChangeOTPExpire = undefined;
+    user.emailChangeOTPAttempts = 0;
+    await user.save({ validateBeforeSave: false });
+
+    await revokeAllSessions(user._id, "email-changed");
+
+    try {
+      await sendEmail({
+        to: oldEmail,
+        subject: "Your email address was changed",
+        html: `<p>The email address on your account was changed to <b>${user.email}</b>. If this wasn't you, contact support immediately.</p>`,
+      });
+    } catch (e) {
+      console.error("Failed to notify previous email address:", e.message);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Email address updated. Please log in again.",
+      user: toDTO(user),
+    });
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
+};
+
+module.exports = { getMe, updateMe, changePassword, requestEmailChange, confirmEmailChange };
@@ -0,0 +1,50 @@
+const createError = require("../utils/error");
+const { toCSV } = require("../utils/csv");
+const { getQuestionAnalytics, toAnalyticsRows, ANALYTICS_CSV_COLUMNS } = require("../services/questionAnalyticsService");
+
+const CATEGORIES = ["student", "professional"];
+const STATUSES = ["draft", "submitted"];
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Parse ?from/?to; a date-only `to` includes that whole day
+const parseDate = (value, endOfDay) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  if (endOfDay && DATE_ONLY.test(value)) date.setUTCDate(date.getUTCDate() + 1);
+  return date;
+};
+
+// GET /api/questions/analytics?from=2025-01-01&to=2025-03-31&category=student&status=submitted&format=csv
+const getAnalytics = async (req, res, next) => {
+  try {
+    const { category, status, format = "json" } = req.query;
+    if (category && !CATEGORIES.includes(category)) return next(createError(400, "category must be student or professional"));
+    if (status && !STATUSES.includes(status)) return next(createError(400, "status must be draft or submitted"));
+    if (!["json", "csv"].includes(format)) return next(createError(400, "format must be json or csv"));
+
+    const from = parseDate(req.query.from, false);
+    const to = parseDate(req.query.to, true);
+    if (from === null || to === null) return next(createError(400, "from and to must be valid dates"));
+    if (from && to && from >= to) return next(createError(400, "from must be before to"));
+
+    const analytics = await getQuestionAnalytics({ from, to, category, status });
+
+    if (format === "csv") {
+      const filename = `question-analytics-${new Date().toISOString().slice(0, 10)}.csv`;
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+      return res.status(200).send(toCSV(toAnalyticsRows(analytics), ANALYTICS_CSV_COLUMNS));
+    }
+
+    return res.status(200).json({
+      success: true,
+      filters: { from: from || null, to: to || null, category: category || null, status: status || null },
+      data: analytics,
+    });
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
+};
+
+module.exports = { getAnalytics };
@@ -0,0 +1,63 @@
+const createError = require("../utils/error");
+const { recordAudit } = require("../services/auditService");
+const { exportBundle, serializeBundle, parseBundle, importBundle } = require("../services/questionBundleService");
+
+const isTrue = (v) => v === true || v === "true";
+
+// GET /api/questions/bundle/export?format=json|yaml  -> draft question bank as a downloadable bundle
+const exportQuestionBundle = async (req, res, next) => {
+  try {
+    const format = (req.query.format || "json").toLowerCase();
+    if (!["json", "yaml", "yml"].includes(format)) return next(createError(400, "format must be json or yaml"));
+
+    const bundle = await exportBundle();
+    const isYaml = format !== "json";
+    const filename = `questionnaire-${new Date().toISOString().slice(0, 10)}.${isYaml ? "yaml" : "json"}`;
+
+    res.setHeader("Content-Type", isYaml ? "application/yaml; charset=utf-8" : "application/json; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    return res.status(200).send(serializeBundle(bundle, isYaml ? "yaml" : "json"));
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
+};
+
+// POST /api/questions/bundle/import?dryRun=true
+// Upload a .json/.yaml bundle as `file`, or send the bundle as the JSON body
+const importQuestionBundle = async (req, res, next) => {
+  try {
+    let bundle;
+    try {
+      bundle = req.file ? parseBundle(req.file.buffer.toString("utf-8")) : req.body;
+    } catch (e) {
+      return next(createError(400, e.message));
+    }
+    if (!bundle || Object.keys(bundle).length === 0) return next(createError(400, "No bundle to import"));
+
+    const dryRun = isTrue(req.query.dryRun) || isTrue(req.body?.dryRun);
+    let report;
+    try {
+      report = await importBundle(bundle, { dryRun });
+    } catch (e) {
+      if (e.details) return res.status(400).json({ success: false, message: e.message, errors: e.details });
+      throw e;
+    }
+
+    if (!dryRun) {
+      await recordAudit(req, {
+        action: "questionnaire.import",
+        entityType: "Question",
+        metadata: report.summary,
+      });
+    }
+    return res.status(200).json({
+      success: true,
+      message: dryRun ? "Dry run complete; nothing was saved" : "Bundle imported into the draft questionnaire",
+      data: report,
+    });
+  } catch (err) {
+    return next(createError(err.status || 500, err.message));
+  }
+};
+
+module.exports = { exportQuestionBundle, importQuestionBundle };
@@ -1,6 +1,33 @@
+const mongoose = require("mongoose");
 const Question = require("../models/Question");
-const User = require("../models/User")
 const createError = require("../utils/error");
+const { recordAudit } = require("../services/auditService");
+const { getPublishedQuestionnaire } = require("../services/questionnaireService");
+const { validateCondition, referencedQuestionIds } = require("../utils/conditions");
+const { normalizeRules, toJSONSchema } = require("../utils/validationRules");
+const { validateTypeSettings } = require("../utils/questionSettings");
+const { resolveQuestionStep, nextQuestionOrder, nestQuestionsBySteps } = require("../services/stepService");
+const { getRequestLocales, localizeQuestionnaire, normalizeTranslations } = require("../utils/locale");
+
+const CATEGORIES = ["student", "professional"];
+
+/**
+ * Validate a display condition and make sure every question it refers to exists
+ * @param {Object} condition - Display condition
+ * @param {string} [selfId] - Id of the question being saved
+ * @param {Array<string>} [batchIds] - Ids of questions created in the same request
+ * @returns {Promise<string|null>} Error message, or null when valid
+ */
+const checkDisplayCondition = async (condition, selfId, batchIds = []) => {
+  const error = validateCondition(condition, selfId);
+  if (error) return error;
+
+  const ids = [...new Set(referencedQuestionIds(condition))].filter((id) => !batchIds.includes(id));
+  if (ids.length === 0) return null;
+  if (!ids.every((id) => mongoose.Types.ObjectId.isValid(id))) return "displayCondition refers to an invalid question id";
+  const found = await Question.countDocuments({ _id: { $in: ids } });
+  return found === ids.length ? null : "displayCondition refers to a question that does not exist";
+};
 
 const addQuestion = async (req, res, next) => {
   try {
@@ -9,28 +36,19 @@ const addQuestion = async (req, res, next) => {
       return next(createError(400, "Request body is missing or empty"));
     }
 
-    const userId = req.user.id || req.user._id;
-    const user = await User.findById(userId);
-
-    if (!user || user.role !== "admin") {
-      return next(
-        createError(403, "You are not allowed! Only admin can add questions")
-      );
-    }
-
     // ✅ Handle multiple questions at once
     if (Array.isArray(req.body)) {
       // Validate each question before saving
       for (const q of req.body) {
-        if (!q.text || !q.type || !q.step || !q.category) {
+        if (!q.text || !q.type || (!q.step && !q.stepId) || !q.category) {
           return next(
             createError(
               400,
-              "Each question must include: text, type, step, category"
+              "Each question must include: text, type, step (or stepId), category"
             )
           );
         }
-        if (!q.step.stepNumber || !q.step.stepName) {
+        if (!q.stepId && (!q.step.stepNumber || !q.step.stepName)) {
           return next(
             createError(400, "Step must include stepNumber and stepName")
           );
@@ -43,9 +61,36 @@ const addQuestion = async (req, res, next) => {
             createError(400, "Options are required for multiple-choice questions")
           );
         }
+        const typeError = validateTypeSettings(q);
+        if (typeError) {
+          return next(createError(400, `${typeError} (question: "${q.text}")`));
+        }
+      }
+
+      const batchIds = req.body.filter((q) => q._id).map((q) => String(q._id));
+      for (const q of req.body) {
+        const conditionError = await checkDisplayCondition(q.displayCondition, q._id, batchIds);
+        if (conditionError) return next(createError(400, conditionError));
       }
 
-      const questions = await Question.insertMany(req.body);
+      const prepared = [];
+      const nextOrders = new Map(); // step id -> order for the next question appended to it
+      for (const q of req.body) {
+        const resolved = await resolveQuestionStep(q);
+        if (resolved.error) return next(createError(400, `${resolved.error} (question: "${q.text}")`));
+        const stepKey = String(resolved.stepId);
+        if (!nextOrders.has(stepKey)) nextOrders.set(stepKey, await nextQuestionOrder(resolved.stepId));
+        const order = Number.isInteger(q.order) ? q.order : nextOrders.get(stepKey);
+        if (order >= nextOrders.get(stepKey)) nextOrders.set(stepKey, order + 1);
+        prepared.push({ ...q, ...resolved, order, validation: normalizeRules(q.validation), translations: normalizeTranslations(q.translations) });
+      }
+
+      const questions = await Question.insertMany(prepared);
+      await recordAudit(req, {
+        action: "question.create",
+        entityType: "Question",
+        metadata: { count: questions.length, ids: questions.map((q) => q._id) },
+      });
       return res.status(201).json({
         message: "Questions added successfully",
         data: questions,
@@ -53,18 +98,18 @@ const addQuestion = async (req, res, next) => {
     }
 
     // ✅ Single question (existing logic)
-    const { text, type, options, step, category, optional, status } = req.body;
+    const { text, type, options, step, stepId, category, optional, status, displayCondition, minSelections, maxSelections, scale, numberRange, dateRange, validation, translations } = req.body;
 
-    if (!text || !type || !step || !category) {
+    if (!text || !type || (!step && !stepId) || !category) {
       return next(
         createError(
           400,
-          "Please provide all required fields: text, type, step, category"
+          "Please provide all required fields: text, type, step (or stepId), category"
         )
       );
     }
 
-    if (!step.stepNumber || !step.stepName) {
+    if (!stepId && (!step.stepNumber || !step.stepName)) {
       return next(createError(400, "Step must include stepNumber and stepName"));
     }
 
@@ -74,17 +119,37 @@ const addQuestion = async (req, res, next) => {
       );
     }
 
+    const typeError = validateTypeSettings(req.body);
+    if (typeError) return next(createError(400, typeError));
+
+    const conditionError = await checkDisplayCondition(displayCondition);
+    if (conditionError) return next(createError(400, conditionError));
+
+    const resolvedStep = await resolveQuestionStep({ stepId, step, category });
+    if (resolvedStep.error) return next(createError(400, resolvedStep.error));
+
     const newQuestion = new Question({
       text,
       type,
       options,
-      step,
+      step: resolvedStep.step,
+      stepId: resolvedStep.stepId,
+      order: await nextQuestionOrder(resolvedStep.stepId),
       category,
       optional,
       status,
+      displayCondition,
+      minSelections,
+      maxSelections,
+      scale,
+      numberRange,
+      dateRange,
+      validation: normalizeRules(validation),
+      translations: normalizeTranslations(translations),
     });
 
     await newQuestion.save();
+    await recordAudit(req, { action: "question.create", entityType: "Question", entityId: newQuestion._id, before: null, after: newQuestion });
 
     return res.status(201).json({
       message: "Question added successfully",
@@ -117,20 +182,43 @@ const addQuestion = async (req, res, next) => {
   }
 };
 
+// Users who have picked a questionnaire only get its questions; before that ?category= narrows the set
+const getRequestCategory = (req) => req.user?.category || req.query.category;
+
+// Respondents always get the latest published questionnaire
 const getAllQuestions = async (req, res, next) => {
   try {
-    const questions = await Question.find()
-      .sort({ "step.stepNumber": 1, createdAt: 1 }) // optional sorting
-      .lean();
+    const category = getRequestCategory(req);
+    if (category && !CATEGORIES.includes(category)) return next(createError(400, "category must be student or professional"));
+    const published = await getPublishedQuestionnaire({ category });
 
-    if (!questions || questions.length === 0) {
+    if (!published.questions || published.questions.length === 0) {
       return next(createError(404, "No questions found"));
     }
 
+    const locales = getRequestLocales(req);
+    const { version } = published;
+    const { questions, steps } = localizeQuestionnaire(published.questions, published.steps, locales);
+    res.set("Content-Language", locales[0]);
+    res.vary("Accept-Language");
+
+    // ?format=flat keeps the old flat list for older clients
+    if (req.query.format === "flat") {
+      return res.status(200).json({
+        success: true,
+        version,
+        category: category || null,
+        count: questions.length,
+        data: questions,
+      });
+    }
+
     return res.status(200).json({
       success: true,
+      version,
+      category: category || null,
       count: questions.length,
-      data: questions,
+      data: nestQuestionsBySteps(questions, steps),
     });
   } catch (error) {
     console.error("Error fetching questions:", error);
@@ -138,18 +226,59 @@ const getAllQuestions = async (req, res, next) => {
   }
 };
 
-const getAllQuestionsForAI = async (req, res, next) => {
+// JSON Schema of valid answers for the published questionnaire (of the user's category)
+const getQuestionSchema = async (req, res, next) => {
+  try {
+    const category = getRequestCategory(req);
+    if (category && !CATEGORIES.includes(category)) return next(createError(400, "category must be student or professional"));
+    const { version, questions, steps } = await getPublishedQuestionnaire({ category });
+    const localized = localizeQuestionnaire(questions, steps, getRequestLocales(req));
+    res.vary("Accept-Language");
+
+    return res.status(200).json({
+      success: true,
+      version,
+      category: category || null,
+      schema: toJSONSchema(localized.questions),
+    });
+  } catch (error) {
+    console.error("Error building question schema:", error);
+    return next(createError(500, "Internal server error"));
+  }
+};
+
+// Editors see the unpublished draft, including inactive questions
+const getDraftQuestions = async (req, res, next) => {
   try {
     const questions = await Question.find()
-      .sort({ "step.stepNumber": 1, createdAt: 1 }) // optional sorting
+      .sort({ "step.stepNumber": 1, order: 1, createdAt: 1 })
       .lean();
 
+    return res.status(200).json({
+      success: true,
+      count: questions.length,
+      data: questions,
+    });
+  } catch (error) {
+    console.error("Error fetching draft questions:", error);
+    return next(createError(500, "Internal server error"));
+  }
+};
+
+// Machine consumers authenticate with an API key holding questions:read; ?category= narrows the set
+const getAllQuestionsForAI = async (req, res, next) => {
+  try {
+    const { category } = req.query;
+    if (category && !CATEGORIES.includes(category)) return next(createError(400, "category must be student or professional"));
+    const { version, questions } = await getPublishedQuestionnaire({ category });
+
     if (!questions || questions.length === 0) {
       return next(createError(404, "No questions found"));
     }
 
     return res.status(200).json({
       success: true,
+      version,
       count: questions.length,
       data: questions,
     });
@@ -161,33 +290,24 @@ const getAllQuestionsForAI = async (req, res, next) => {
 
 const updateQuestion = async (req, res, next) => {
   try {
-    const userId = req.user.id || req.user._id;
-    const user = await User.findById(userId);
-
-    if (!user || user.role !== "admin") {
-      return next(
-        createError(403, "You are not allowed! Only admin can update questions")
-      );
-    }
-
     const { id } = req.params;
-    const { text, type, options, step, category, optional, status, documents } = req.body;
+    const { text, type, options, step, stepId, category, optional, status, documents, displayCondition, minSelections, maxSelections, scale, numberRange, dateRange, validation, translations } = req.body;
 
     if (!id) {
       return next(createError(400, "Question ID is required"));
     }
 
     // Validate required fields
-    if (!text || !type || !step || !category) {
+    if (!text || !type || (!step && !stepId) || !category) {
       return next(
         createError(
           400,
-          "Please provide all required fields: text, type, step, category"
+          "Please provide all required fields: text, type, step (or stepId), category"
         )
       );
     }
 
-    if (!step.stepNumber || !step.stepName) {
+    if (!stepId && (!step.stepNumber || !step.stepName)) {
       return next(createError(400, "Step must include stepNumber and stepName"));
     }
 
@@ -197,27 +317,55 @@ const updateQuestion = async (req, res, next) => {
       );
     }
 
+    const typeError = validateTypeSettings(req.body);
+    if (typeError) {
+      return next(createError(400, typeError));
+    }
+
     // Check if question exists
     const existingQuestion = await Question.findById(id);
     if (!existingQuestion) {
       return next(createError(404, "Question not found"));
     }
 
+    const conditionError = await checkDisplayCondition(displayCondition, id);
+    if (conditionError) {
+      return next(createError(400, conditionError));
+    }
+
+    const resolvedStep = await resolveQuestionStep({ stepId, step, category });
+    if (resolvedStep.error) {
+      return next(createError(400, resolvedStep.error));
+    }
+
+    const update = {
+      text,
+      type,
+      options,
+      step: resolvedStep.step,
+      stepId: resolvedStep.stepId,
+      category,
+      optional,
+      status,
+      documents,
+      minSelections,
+      maxSelections,
+      scale,
+      numberRange,
+      dateRange,
+    };
+    // A question moved to another step goes after the questions already there
+    if (String(existingQuestion.stepId) !== String(resolvedStep.stepId)) {
+      update.order = await nextQuestionOrder(resolvedStep.stepId);
+    }
+    // Leave the branching condition, validation rules and translations alone unless the request sends them; an explicit null clears them
+    if ("displayCondition" in req.body) update.displayCondition = displayCondition || null;
+    if ("validation" in req.body) update.validation = normalizeRules(validation) || null;
+    if ("translations" in req.body) update.translations = normalizeTranslations(translations) || null;
+
     // Update the question
-    const updatedQuestion = await Question.findByIdAndUpdate(
-      id,
-      {
-        text,
-        type,
-        options,
-        step,
-        category,
-        optional,
-        status,
-        documents,
-      },
-      { new: true, runValidators: true }
-    );
+    const updatedQuestion = await Question.findByIdAndUpdate(id, update, { new: true, runValidators: true });
+    await recordAudit(req, { action: "question.update", entityType: "Question", entityId: id, before: existingQuestion, after: updatedQuestion });
 
     return res.status(200).json({
       message: "Question updated successfully",
@@ -237,15 +385,6 @@ const updateQuestion = async (req, res, next) => {
 
 const deleteQuestion = async (req, res, next) => {
   try {
-    const userId = req.user.id || req.user._id;
-    const user = await User.findById(userId);
-
-    if (!user || user.role !== "admin") {
-      return next(
-        createError(403, "You are not allowed! Only admin can delete questions")
-      );
-    }
-
     const { id } = req.params;
 
     if (!id) {
@@ -258,8 +397,16 @@ const deleteQuestion = async (req, res, next) => {
       return next(createError(404, "Question not found"));
     }
 
+    // Don't leave other questions' display conditions pointing at nothing
+    const dependants = await Question.find({ displayCondition: { $exists: true, $ne: null } }, "text displayCondition").lean();
+    const blocking = dependants.filter((q) => referencedQuestionIds(q.displayCondition).includes(String(id)));
+    if (blocking.length > 0) {
+      return next(createError(409, `Question is used in the display condition of: ${blocking.map((q) => `"${q.text}"`).join(", ")}`));
+    }
+
     // Delete the question
     await Question.findByIdAndDelete(id);
+    await recordAudit(req, { action: "question.delete", entityType: "Question", entityId: id, before: existingQuestion, after: null });
 
     return res.status(200).json({
       message: "Question deleted successfully",
@@ -276,4 +423,4 @@ const deleteQuestion = async (req, res, next) => {
 
 
 
-module.exports = {addQuestion, getAllQuestions, getAllQuestionsForAI, updateQuestion, deleteQuestion};
+module.exports = {addQuestion, getAllQuestions, getQuestionSchema, getDraftQuestions, getAllQuestionsForAI, updateQuestion, deleteQuestion};
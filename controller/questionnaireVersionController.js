@@ -0,0 +1,84 @@
+const QuestionnaireVersion = require("../models/QuestionnaireVersion");
+const createError = require("../utils/error");
+const { recordAudit } = require("../services/auditService");
+const { publishDraft, getQuestionsForVersion, diffQuestionSets } = require("../services/questionnaireService");
+
+// GET /api/questions/versions
+const listVersions = async (req, res, next) => {
+  try {
+    const versions = await QuestionnaireVersion.find()
+      .select("-questions -steps")
+      .populate("publishedBy", "fullName email")
+      .sort({ version: -1 })
+      .lean();
+    return res.status(200).json({ success: true, count: versions.length, data: versions });
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
+};
+
+// GET /api/questions/versions/:version
+const getVersion = async (req, res, next) => {
+  try {
+    const version = Number(req.params.version);
+    if (!Number.isInteger(version)) return next(createError(400, "version must be a number"));
+
+    const doc = await QuestionnaireVersion.findOne({ version })
+      .populate("publishedBy", "fullName email")
+      .lean();
+    if (!doc) return next(createError(404, "Version not found"));
+
+    return res.status(200).json({ success: true, data: doc });
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
+};
+
+// POST /api/questions/versions/publish { notes }
+const publishVersion = async (req, res, next) => {
+  try {
+    const version = await publishDraft(req.user._id, req.body?.notes);
+    await recordAudit(req, {
+      action: "questionnaire.publish",
+      entityType: "QuestionnaireVersion",
+      entityId: version._id,
+      metadata: { version: version.version, questionCount: version.questions.length },
+    });
+    return res.status(201).json({
+      success: true,
+      message: `Questionnaire version ${version.version} published`,
+      data: { version: version.version, publishedAt: version.publishedAt, questionCount: version.questions.length, notes: version.notes },
+    });
+  } catch (err) {
+    if (err.message === "Cannot publish an empty questionnaire") return next(createError(400, err.message));
+    return next(createError(500, err.message));
+  }
+};
+
+// GET /api/questions/versions/diff?from=1&to=2   (to defaults to the current draft)
+const diffVersions = async (req, res, next) => {
+  try {
+    const { from, to = "draft" } = req.query;
+    const isValid = (v) => v === "draft" || Number.isInteger(Number(v));
+    if (!from || !isValid(from) || !isValid(to)) {
+      return next(createError(400, "from and to must be version numbers or \"draft\""));
+    }
+
+    const [fromQuestions, toQuestions] = await Promise.all([getQuestionsForVersion(from), getQuestionsForVersion(to)]);
+    if (!fromQuestions) return next(createError(404, `Version ${from} not found`));
+    if (!toQuestions) return next(createError(404, `Version ${to} not found`));
+
+    const changes = diffQuestionSets(fromQuestions, toQuestions);
+    return res.status(200).json({
+      success: true,
+      from,
+      to,
+      summary: { added: changes.added.length, removed: changes.removed.length, changed: changes.changed.length },
+      data: changes,
+    });
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
+};
+
+module.exports = { listVersions, getVersion, publishVersion, diffVersions };
@@ -0,0 +1,129 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const createError = require('../utils/error');
+const { recordAudit } = require('../services/auditService');
+const { PERMISSIONS, isValidPermission } = require('../utils/permissions');
+
+const toDTO = (r) => ({
+  _id: r._id,
+  name: r.name,
+  description: r.description,
+  permissions: r.permissions,
+  createdAt: r.createdAt,
+  updatedAt: r.updatedAt
+});
+
+const validatePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) return 'permissions must be an array';
+  const unknown = permissions.filter(p => !isValidPermission(p));
+  if (unknown.length) return `Unknown permissions: ${unknown.join(', ')}`;
+  return null;
+};
+
+// GET /api/admin/permissions
+const listPermissions = async (_req, res) => {
+  return res.json({
+    success: true,
+    permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }))
+  });
+};
+
+// GET /api/admin/roles
+const listRoles = async (_req, res, next) => {
+  try {
+    await Role.ensureDefaults();
+    const roles = await Role.find().sort({ name: 1 }).lean();
+    const counts = await User.aggregate([
+      { $unwind: '$roles' },
+      { $group: { _id: '$roles', count: { $sum: 1 } } }
+    ]);
+    const countMap = new Map(counts.map(c => [String(c._id), c.count]));
+    return res.json({ success: true, roles: roles.map(r => ({ ...toDTO(r), users: countMap.get(String(r._id)) || 0 })) });
+  } catch (err) { return next(createError(500, err.message)); }
+};
+
+// POST /api/admin/roles { name, description, permissions }
+const createRole = async (req, res, next) => {
+  try {
+    const { name, description, permissions = [] } = req.body;
+    if (!name) return next(createError(400, 'name is required'));
+    if (['admin', 'user'].includes(String(name).toLowerCase())) return next(createError(400, `"${name}" is a reserved role name`));
+    const permError = validatePermissions(permissions);
+    if (permError) return next(createError(400, permError));
+
+    const exists = await Role.findOne({ name: String(name).toLowerCase() }).lean();
+    if (exists) return next(createError(409, 'Role with this name already exists'));
+
+    const role = await Role.create({ name, description, permissions: [...new Set(permissions)] });
+    await recordAudit(req, { action: 'role.create', entityType: 'Role', entityId: role._id, before: null, after: role });
+    return res.status(201).json({ success: true, role: toDTO(role) });
+  } catch (err) {
+    if (err.name === 'ValidationError') return next(createError(400, err.message));
+    return next(createError(500, err.message));
+  }
+};
+
+// PUT /api/admin/roles/:id { description?, permissions? }
+const updateRole = async (req, res, next) => {
+  try {
+    const { description, permissions } = req.body;
+    const role = await Role.findById(req.params.id);
+    if (!role) return next(createError(404, 'Role not found'));
+    const before = role.toObject();
+
+    if (permissions !== undefined) {
+      const permError = validatePermissions(permissions);
+      if (permError) return next(createError(400, permError));
+      role.permissions = [...new Set(permissions)];
+    }
+    if (description !== undefined) role.description = description;
+
+    await role.save();
+    await recordAudit(req, { action: 'role.update', entityType: 'Role', entityId: role._id, before, after: role });
+    return res.json({ success: true, role: toDTO(role) });
+  } catch (err) { return next(createError(500, err.message)); }
+};
+
+// DELETE /api/admin/roles/:id
+const deleteRole = async (req, res, next) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) return next(createError(404, 'Role not found'));
+    await User.updateMany({ roles: role._id }, { $pull: { roles: role._id } });
+    await Role.deleteOne({ _id: role._id });
+    await recordAudit(req, { action: 'role.delete', entityType: 'Role', entityId: role._id, before: role, after: null });
+    return res.json({ success: true, message: 'Role deleted' });
+  } catch (err) { return next(createError(500, err.message)); }
+};
+
+// PUT /api/admin/users/:id/roles { roles: [roleId | roleName] }
+const setUserRoles = async (req, res, next) => {
+  try {
+    const { roles } = req.body;
+    if (!Array.isArray(roles)) return next(createError(400, 'roles must be an array'));
+
+    const user = await User.findById(req.params.id);
+    if (!user) return next(createError(404, 'User not found'));
+
+    const ids = roles.filter(r => /^[a-f0-9]{24}$/i.test(String(r)));
+    const names = roles.filter(r => !ids.includes(r)).map(r => String(r).toLowerCase());
+    const found = await Role.find({ $or: [{ _id: { $in: ids } }, { name: { $in: names } }] }).lean();
+    if (found.length !== new Set(roles.map(String)).size) {
+      return next(createError(400, 'One or more roles do not exist'));
+    }
+
+    const previousRoles = await Role.find({ _id: { $in: user.roles } }, 'name').lean();
+    user.roles = found.map(r => r._id);
+    await user.save({ validateBeforeSave: false });
+    await recordAudit(req, {
+      action: 'user.roles.update',
+      entityType: 'User',
+      entityId: user._id,
+      before: { roles: previousRoles.map(r => r.name) },
+      after: { roles: found.map(r => r.name) }
+    });
+    return res.json({ success: true, user: { _id: user._id, role: user.role, roles: found.map(toDTO) } });
+  } catch (err) { return next(createError(500, err.message)); }
+};
+
+module.exports = { listPermissions, listRoles, createRole, updateRole, deleteRole, setUserRoles };
@@ -0,0 +1,173 @@
+const Step = require("../models/Step");
+const Question = require("../models/Question");
+const createError = require("../utils/error");
+const { recordAudit } = require("../services/auditService");
+const {
+  backfillSteps,
+  syncQuestionsForStep,
+  reorderSteps,
+  shiftSteps,
+  reorderStepQuestions,
+  nestQuestionsBySteps,
+} = require("../services/stepService");
+const { validateTranslations, normalizeTranslations } = require("../utils/locale");
+
+const CATEGORIES = ["student", "professional"];
+const TRANSLATED_FIELDS = ["title", "description"];
+
+// GET /api/questions/steps?category=student  -> draft steps with their questions
+const listSteps = async (req, res, next) => {
+  try {
+    await backfillSteps();
+
+    const { category } = req.query;
+    if (category && !CATEGORIES.includes(category)) return next(createError(400, "category must be student or professional"));
+    const filter = category ? { category } : {};
+
+    const [steps, questions] = await Promise.all([
+      Step.find(filter).sort({ category: 1, order: 1 }).lean(),
+      Question.find(filter).sort({ "step.stepNumber": 1, order: 1, createdAt: 1 }).lean(),
+    ]);
+
+    const nested = nestQuestionsBySteps(questions, steps);
+    // Include steps that have no questions yet
+    const withQuestions = new Set(nested.map((s) => String(s._id)));
+    const empty = steps
+      .filter((s) => !withQuestions.has(String(s._id)))
+      .map((s) => ({ ...s, stepNumber: s.order, stepName: s.title, questions: [] }));
+
+    const data = [...nested, ...empty].sort((a, b) => a.category.localeCompare(b.category) || a.order - b.order);
+    return res.status(200).json({ success: true, count: data.length, data });
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
+};
+
+// POST /api/questions/steps { title, description, category, order?, translations? }  -> appended last by default
+const createStep = async (req, res, next) => {
+  try {
+    const { title, description, category, order, translations } = req.body || {};
+    if (!title || !category) return next(createError(400, "title and category are required"));
+    if (!CATEGORIES.includes(category)) return next(createError(400, "category must be student or professional"));
+    const translationError = validateTranslations(translations, { fields: TRANSLATED_FIELDS });
+    if (translationError) return next(createError(400, translationError));
+
+    await backfillSteps();
+    const last = await Step.findOne({ category }, "order").sort({ order: -1 }).lean();
+    const lastOrder = last ? last.order : 0;
+    const position = Number.isInteger(order) && order >= 1 && order <= lastOrder ? order : lastOrder + 1;
+
+    // Make room when inserting in the middle
+    if (position <= lastOrder) await shiftSteps(category, position, 1);
+
+    const step = await Step.create({ title, description, category, order: position, translations: normalizeTranslations(translations) });
+    await recordAudit(req, { action: "step.create", entityType: "Step", entityId: step._id, before: null, after: step });
+    return res.status(201).json({ success: true, message: "Step created", data: step });
+  } catch (err) {
+    return next(createError(err.status || 500, err.message));
+  }
+};
+
+// PUT /api/questions/steps/:id { title, description, translations }
+const updateStep = async (req, res, next) => {
+  try {
+    const step = await Step.findById(req.params.id).catch(() => null);
+    if (!step) return next(createError(404, "Step not found"));
+
+    const before = step.toObject();
+    const { title, description, translations } = req.body || {};
+    const translationError = validateTranslations(translations, { fields: TRANSLATED_FIELDS });
+    if (translationError) return next(createError(400, translationError));
+
+    if (title !== undefined) {
+      if (!String(title).trim()) return next(createError(400, "title cannot be empty"));
+      step.title = title;
+    }
+    if (description !== undefined) step.description = description;
+    if (translations !== undefined) step.translations = normalizeTranslations(translations);
+    await step.save();
+    await syncQuestionsForStep(step);
+
+    await recordAudit(req, { action: "step.update", entityType: "Step", entityId: step._id, before, after: step });
+    return res.status(200).json({ success: true, message: "Step updated", data: step });
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
+};
+
+// DELETE /api/questions/steps/:id  -> only empty steps can be deleted
+const deleteStep = async (req, res, next) => {
+  try {
+    const step = await Step.findById(req.params.id).catch(() => null);
+    if (!step) return next(createError(404, "Step not found"));
+
+    const questionCount = await Question.countDocuments({ stepId: step._id });
+    if (questionCount > 0) {
+      return next(createError(409, `Step still has ${questionCount} question(s); move or delete them first`));
+    }
+
+    await step.deleteOne();
+    // Close the gap so orders stay contiguous
+    await shiftSteps(step.category, step.order + 1, -1);
+
+    await recordAudit(req, { action: "step.delete", entityType: "Step", entityId: step._id, before: step, after: null });
+    return res.status(200).json({ success: true, message: "Step deleted" });
+  } catch (err) {
+    return next(createError(err.status || 500, err.message));
+  }
+};
+
+// PUT /api/questions/steps/reorder { category, stepIds: [...] }  -> full list in the new order
+const reorderStepList = async (req, res, next) => {
+  try {
+    const { category, stepIds } = req.body || {};
+    if (!CATEGORIES.includes(category)) return next(createError(400, "category must be student or professional"));
+    if (!Array.isArray(stepIds) || stepIds.length === 0) return next(createError(400, "stepIds must be a non-empty array"));
+
+    await backfillSteps();
+    const steps = await reorderSteps(category, stepIds);
+    await recordAudit(req, {
+      action: "step.reorder",
+      entityType: "Step",
+      metadata: { category, order: steps.map((s) => s._id) },
+    });
+    return res.status(200).json({ success: true, message: "Steps reordered", data: steps });
+  } catch (err) {
+    return next(createError(err.status || 500, err.message));
+  }
+};
+
+// PUT /api/questions/steps/:id/questions { questionIds: [...] }
+// Ordered question ids for the step; ids from other steps are moved into it
+const reorderQuestionsInStep = async (req, res, next) => {
+  try {
+    const { questionIds } = req.body || {};
+    if (!Array.isArray(questionIds) || questionIds.length === 0) {
+      return next(createError(400, "questionIds must be a non-empty array"));
+    }
+
+    const step = await Step.findById(req.params.id).catch(() => null);
+    if (!step) return next(createError(404, "Step not found"));
+
+    const questions = await reorderStepQuestions(step, questionIds);
+    await recordAudit(req, {
+      action: "step.reorder-questions",
+      entityType: "Step",
+      entityId: step._id,
+      metadata: { order: questions.map((q) => q._id) },
+    });
+    return res.status(200).json({ success: true, message: "Questions reordered", data: questions });
+  } catch (err) {
+    if (err.name === "CastError") return next(createError(400, "questionIds contains an invalid id"));
+    return next(createError(err.status || 500, err.message));
+  }
+};
+
+module.exports = {
+  listSteps,
+  createStep,
+  updateStep,
+  deleteStep,
+  reorderStepList,
+  reorderQuestionsInStep,
+};
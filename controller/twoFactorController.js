@@ -0,0 +1,175 @@
+const User = require("../models/User");
+const SecurityPolicy = require("../models/SecurityPolicy");
+const createError = require("../utils/error");
+const { recordAudit } = require("../services/auditService");
+const { generateSecret, verifyTOTP, provisioningUri } = require("../utils/totp");
+const { generateBackupCodes, checkSecondFactor } = require("../services/twoFactorService");
+const { revokeAllSessions } = require("../services/sessionService");
+
+const ISSUER = process.env.TOTP_ISSUER || "Aspiro";
+
+// GET /api/auth/2fa
+const getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select("+twoFactorBackupCodes");
+    const policy = await SecurityPolicy.getPolicy();
+    return res.status(200).json({
+      success: true,
+      enabled: !!user.twoFactorEnabled,
+      backupCodesRemaining: (user.twoFactorBackupCodes || []).length,
+      required: user.role === "admin" && policy.requireAdminTwoFactor,
+    });
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
+};
+
+// POST /api/auth/2fa/setup  -> returns secret + otpauth:// URI for the QR code
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (user.twoFactorEnabled) return next(createError(400, "Two-factor authentication is already enabled"));
+
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    return res.status(200).json({
+      success: true,
+      secret,
+      otpauthUri: provisioningUri({ secret, accountName: user.email, issuer: ISSUER }),
+    });
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
+};
+
+// POST /api/auth/2fa/enable { code }
+const enableTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+    if (!code) return next(createError(400, "code is required"));
+
+    const user = await User.findById(req.user._id).select("+twoFactorPendingSecret");
+    if (user.twoFactorEnabled) return next(createError(400, "Two-factor authentication is already enabled"));
+    if (!user.twoFactorPendingSecret) return next(createError(400, "Start setup first"));
+
+    const step = verifyTOTP(user.twoFactorPendingSecret, code);
+    if (step === null) return next(createError(400, "Invalid code"));
+
+    const { codes, hashes } = generateBackupCodes();
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorEnabled = true;
+    user.twoFactorBackupCodes = hashes;
+    user.twoFactorLastUsedStep = step;
+    await user.save({ validateBeforeSave: false });
+
+    // Sessions opened with the password alone must sign in again with 2FA
+    await revokeAllSessions(user._id, "two-factor-enabled", req.sessionId);
+
+    return res.status(200).json({
+      success: true,
+      message: "Two-factor authentication enabled. Store these backup codes somewhere safe; they will not be shown again.",
+      backupCodes: codes,
+    });
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
+};
+
+// POST /api/auth/2fa/disable { password, code | backupCode }
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, backupCode } = req.body;
+    if (!password || (!code && !backupCode)) return next(createError(400, "password and code or backupCode are required"));
+
+    const user = await User.findById(req.user._id).select("+password +twoFactorSecret +twoFactorBackupCodes +twoFactorLastUsedStep");
+    if (!user.twoFactorEnabled) return next(createError(400, "Two-factor authentication is not enabled"));
+
+    const policy = await SecurityPolicy.getPolicy();
+    if (user.role === "admin" && policy.requireAdminTwoFactor) {
+      return next(createError(403, "Two-factor authentication is mandatory for admin accounts"));
+    }
+
+    if (!(await user.comparePassword(password))) return next(createError(400, "Invalid credentials"));
+    if (!(await checkSecondFactor(user, { code, backupCode }))) return next(createError(400, "Invalid code"));
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorBackupCodes = undefined;
+    user.twoFactorLastUsedStep = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    return res.status(200).json({ success: true, message: "Two-factor authentication disabled" });
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
+};
+
+// POST /api/auth/2fa/backup-codes { code }
+const regenerateBackupCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+    if (!code) return next(createError(400, "code is required"));
+
+    const user = await User.findById(req.user._id).select("+twoFactorSecret +twoFactorBackupCodes +twoFactorLastUsedStep");
+    if (!user.twoFactorEnabled) return next(createError(400, "Two-factor authentication is not enabled"));
+    if (!(await checkSecondFactor(user, { code }))) return next(createError(400, "Invalid code"));
+
+    const { codes, hashes } = generateBackupCodes();
+    user.twoFactorBackupCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+
+    return res.status(200).json({ success: true, backupCodes: codes });
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
+};
+
+// GET /api/admin/security-policy
+const getSecurityPolicy = async (_req, res, next) => {
+  try {
+    const policy = await SecurityPolicy.getPolicy();
+    return res.json({ success: true, policy: { requireAdminTwoFactor: policy.requireAdminTwoFactor, updatedAt: policy.updatedAt } });
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
+};
+
+// PUT /api/admin/security-policy { requireAdminTwoFactor }
+const updateSecurityPolicy = async (req, res, next) => {
+  try {
+    const { requireAdminTwoFactor } = req.body;
+    if (typeof requireAdminTwoFactor !== "boolean") {
+      return next(createError(400, "requireAdminTwoFactor must be a boolean"));
+    }
+    // Don't let an admin lock themselves out of the admin API
+    if (requireAdminTwoFactor && !req.user.twoFactorEnabled) {
+      return next(createError(400, "Enable two-factor authentication on your own account first"));
+    }
+
+    const previous = await SecurityPolicy.getPolicy();
+    const policy = await SecurityPolicy.updatePolicy({ requireAdminTwoFactor }, req.user._id);
+    await recordAudit(req, {
+      action: "security-policy.update",
+      entityType: "SecurityPolicy",
+      entityId: policy._id,
+      before: { requireAdminTwoFactor: previous.requireAdminTwoFactor },
+      after: { requireAdminTwoFactor: policy.requireAdminTwoFactor }
+    });
+    return res.json({ success: true, policy: { requireAdminTwoFactor: policy.requireAdminTwoFactor, updatedAt: policy.updatedAt } });
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  getSecurityPolicy,
+  updateSecurityPolicy,
+};
@@ -7,6 +7,7 @@ const generateAISuggestions = require('../services/aiGenerator');
 const Question = require('../models/Question');
 const UserResponse = require('../models/UserResponse');
 const AiLog = require('../models/AiLog');
+const { saveResponse } = require('../services/responseHistoryService');
 
 const uploadCV = async (req, res, next) => {
   try {
@@ -53,8 +54,8 @@ const uploadCV = async (req, res, next) => {
         // Auto-fill the answer
         autoFilled[questionId] = extractedAnswer;
         
-        // Save to UserResponse
-        await UserResponse.findOneAndUpdate(
+        // Save to UserResponse (the answer it replaces stays in the response history)
+        await saveResponse(
           { user: userId, question: questionId },
           {
             user: userId,
@@ -66,7 +67,7 @@ const uploadCV = async (req, res, next) => {
             answer: extractedAnswer,
             source: 'auto-fill'
           },
-          { upsert: true, new: true }
+          req
         );
       } else {
         // Generate AI suggestions for questions without extracted data
@@ -88,7 +89,7 @@ const uploadCV = async (req, res, next) => {
             aiLogs.push(aiLog);
             
             // Save AI suggestions to UserResponse
-            await UserResponse.findOneAndUpdate(
+            await saveResponse(
               { user: userId, question: questionId },
               {
                 user: userId,
@@ -100,7 +101,7 @@ const uploadCV = async (req, res, next) => {
                 aiSuggestions: suggestions,
                 source: 'ai'
               },
-              { upsert: true, new: true }
+              req
             );
           }
         } catch (aiError) {
@@ -6,16 +6,27 @@ const authRoutes = require('./routes/authRoutes');
 const adminUserRoutes = require('./routes/adminUserRoutes');
 const errorHandler = require("./middleware/errorHandler")
 const requestLogger = require('./middleware/requestLogger');
+const auditImpersonation = require('./middleware/auditImpersonation');
 const questionRoutes = require('./routes/questionRoutes');
 const userResponseRoutes = require('./routes/userResponseRoutes');
 const aiProcessingRoutes = require('./routes/aiProcessingRoutes');
 const roadmapRoutes = require('./routes/roadmapRoutes');
+const aiLogRoutes = require('./routes/aiLogRoutes');
+const { startUserPurgeJob } = require('./services/userPurgeService');
+const Role = require('./models/Role');
 
 dotenv.config({ override: true });
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind Render's proxy req.ip would otherwise be the proxy address, which
+// breaks per-IP login throttling. TRUST_PROXY accepts a hop count or subnet list.
+// Left unset, X-Forwarded-For is ignored: trusting it without a proxy in front
+// would let callers pick their own IP and dodge the throttle.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+
 // ✅ CORS setup
 const allowedOrigins = [
   "https://aspiro-azure.vercel.app",
@@ -39,6 +50,8 @@ app.use(cors({
 app.use(express.json());
 // Request logger
 app.use(requestLogger);
+// Audit trail for writes made with admin impersonation tokens
+app.use(auditImpersonation);
 
 // Routes
 app.get('/', (req, res) => {
@@ -51,6 +64,7 @@ app.use('/api/questions', questionRoutes);
 app.use('/api/user-response', userResponseRoutes);
 app.use('/api/ai-processing', aiProcessingRoutes);
 app.use('/api/roadmap', roadmapRoutes);
+app.use('/api/ai-logs', aiLogRoutes);
 
 // Error handler
 app.use(errorHandler);
@@ -58,5 +72,8 @@ app.use(errorHandler);
 // Server
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
-  connectDB();
+  connectDB().then(() => {
+    startUserPurgeJob();
+    Role.ensureDefaults().catch((error) => console.error("Default role sync failed:", error.message));
+  });
 });
@@ -0,0 +1,22 @@
+const AuditLog = require('../models/AuditLog');
+
+const READ_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// Records every write made through an impersonation token, with the admin behind it.
+// Mounted globally; req.impersonatedBy is set later by verifyToken, so check on finish.
+module.exports = function auditImpersonation(req, res, next) {
+  res.on('finish', () => {
+    if (!req.impersonatedBy || READ_METHODS.has(req.method)) return;
+    AuditLog.create({
+      actor: req.user && req.user._id,
+      impersonator: req.impersonatedBy,
+      action: 'impersonation.write',
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    }).catch(err => console.error('Failed to write impersonation audit log:', err.message));
+  });
+  next();
+};
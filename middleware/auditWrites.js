@@ -0,0 +1,27 @@
+const AuditLog = require('../models/AuditLog');
+
+const READ_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+/**
+ * Safety net for audited routers: any successful write whose handler did not
+ * call recordAudit() still gets a generic entry, so nothing goes unrecorded.
+ * @param {string} area - Prefix for the generic action name (e.g. "admin")
+ */
+module.exports = function auditWrites(area) {
+  return function (req, res, next) {
+    res.on('finish', () => {
+      if (READ_METHODS.has(req.method) || req.auditRecorded || !req.user || res.statusCode >= 400) return;
+      AuditLog.create({
+        actor: req.user._id,
+        impersonator: req.impersonatedBy,
+        action: `${area}.${req.method.toLowerCase()}`,
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode,
+        ip: req.ip,
+        userAgent: req.headers['user-agent']
+      }).catch(err => console.error('Failed to write audit log:', err.message));
+    });
+    next();
+  };
+};
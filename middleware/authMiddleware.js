@@ -1,6 +1,7 @@
 const jwt = require("jsonwebtoken");
 const createError = require("../utils/error");
 const User = require("../models/User");
+const Session = require("../models/Session");
 
 const verifyToken = async (req, res, next) => {
   try {
@@ -16,16 +17,35 @@ const verifyToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    if (!decoded || !decoded.id) {
+    if (!decoded || !decoded.id || !decoded.sid) {
+      return next(createError(401, "Unauthorized: Invalid token"));
+    }
+
+    const session = await Session.findOne({ _id: decoded.sid, user: decoded.id }).lean();
+    if (!session || session.revokedAt) {
+      return next(createError(401, "Session has been revoked"));
+    }
+
+    // The impersonation claim must match the session it was issued for
+    if (String(decoded.imp || "") !== String(session.impersonatedBy || "")) {
       return next(createError(401, "Unauthorized: Invalid token"));
     }
 
     const user = await User.findById(decoded.id).select("-password");
-    if (!user) {
+    if (!user || user.deletedAt) {
       return next(createError(404, "User not found"));
     }
 
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === "true" && user.emailVerified === false) {
+      return next(createError(403, "Email address not verified"));
+    }
+
     req.user = user;
+    req.sessionId = session._id;
+    if (session.impersonatedBy) {
+      req.impersonatedBy = session.impersonatedBy;
+      res.set("X-Impersonated-By", String(session.impersonatedBy));
+    }
 
     next();
 
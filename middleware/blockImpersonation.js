@@ -0,0 +1,7 @@
+const createError = require('../utils/error');
+
+// Account-security actions must be done by the account owner, never by an impersonating admin
+module.exports = function blockImpersonation(req, _res, next) {
+  if (req.impersonatedBy) return next(createError(403, 'Not allowed while impersonating a user'));
+  next();
+};
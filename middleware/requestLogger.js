@@ -1,6 +1,6 @@
 function redact(obj) {
   if (!obj || typeof obj !== 'object') return obj;
-  const SENSITIVE = new Set(['password', 'newPassword', 'otp', 'token']);
+  const SENSITIVE = new Set(['password', 'newPassword', 'currentPassword', 'otp', 'token', 'refreshToken', 'challengeToken', 'code', 'backupCode']);
   const out = Array.isArray(obj) ? [] : {};
   for (const [k, v] of Object.entries(obj)) {
     if (SENSITIVE.has(k)) {
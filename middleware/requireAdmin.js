@@ -1,7 +1,16 @@
 const createError = require('../utils/error');
+const SecurityPolicy = require('../models/SecurityPolicy');
 
-module.exports = function requireAdmin(req, _res, next) {
+module.exports = async function requireAdmin(req, _res, next) {
   if (!req.user) return next(createError(401, 'Unauthorized'));
   if (req.user.role !== 'admin') return next(createError(403, 'Forbidden: admin only'));
+  try {
+    const policy = await SecurityPolicy.getPolicy();
+    if (policy.requireAdminTwoFactor && !req.user.twoFactorEnabled) {
+      return next(createError(403, 'Two-factor authentication must be enabled to use admin features'));
+    }
+  } catch (err) {
+    return next(createError(500, err.message));
+  }
   next();
 };
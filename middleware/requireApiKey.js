@@ -0,0 +1,26 @@
+const createError = require('../utils/error');
+const { authenticateApiKey } = require('../services/apiKeyService');
+
+/**
+ * Authenticate a service-to-service request with an API key, sent as
+ * `X-API-Key: <key>` or `Authorization: ApiKey <key>`, holding the given scope.
+ * Sets req.apiKey.
+ */
+module.exports = function requireApiKey(scope) {
+  return async function (req, res, next) {
+    const header = req.headers.authorization || '';
+    const rawKey = req.headers['x-api-key'] || (header.startsWith('ApiKey ') ? header.slice(7).trim() : null);
+    if (!rawKey) return next(createError(401, 'Unauthorized: API key required'));
+
+    try {
+      const apiKey = await authenticateApiKey(rawKey, req.ip);
+      if (!apiKey) return next(createError(401, 'Unauthorized: invalid, expired or revoked API key'));
+      if (!apiKey.scopes.includes(scope)) return next(createError(403, `Forbidden: API key lacks scope ${scope}`));
+
+      req.apiKey = apiKey;
+      next();
+    } catch (err) {
+      return next(createError(500, err.message));
+    }
+  };
+};
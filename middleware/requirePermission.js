@@ -0,0 +1,29 @@
+const createError = require('../utils/error');
+const Role = require('../models/Role');
+const requireAdmin = require('./requireAdmin');
+
+/**
+ * Allow the request if the user holds every listed permission through their roles.
+ * Admins always pass (subject to the same checks as requireAdmin).
+ * Sets req.permissions to the user's effective permission set.
+ */
+module.exports = function requirePermission(...required) {
+  return async function (req, res, next) {
+    if (!req.user) return next(createError(401, 'Unauthorized'));
+    if (req.user.role === 'admin') return requireAdmin(req, res, next);
+
+    try {
+      const roles = req.user.roles && req.user.roles.length
+        ? await Role.find({ _id: { $in: req.user.roles } }, 'permissions').lean()
+        : [];
+      const granted = new Set(roles.flatMap(r => r.permissions || []));
+      req.permissions = granted;
+
+      const missing = required.filter(p => !granted.has(p));
+      if (missing.length) return next(createError(403, `Forbidden: missing permission ${missing.join(', ')}`));
+      next();
+    } catch (err) {
+      return next(createError(500, err.message));
+    }
+  };
+};
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+/**
+ * ApiKey Schema
+ * Credentials for service-to-service callers (no user session). Only hashes of
+ * the key are stored; the plain key is shown once when it is created or rotated.
+ */
+const ApiKeySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    // First characters of the key, kept so admins can tell keys apart
+    prefix: { type: String, required: true },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false
+    },
+    // After a rotation the old key keeps working until previousKeyExpiresAt
+    previousKeyHash: { type: String, select: false },
+    previousKeyExpiresAt: { type: Date },
+    scopes: { type: [String], default: [] },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    expiresAt: { type: Date },
+    rotatedAt: { type: Date },
+    lastUsedAt: { type: Date },
+    lastUsedIp: { type: String },
+    revokedAt: { type: Date },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+  },
+  { timestamps: true }
+);
+
+ApiKeySchema.index({ previousKeyHash: 1 }, { sparse: true });
+
+ApiKeySchema.virtual("status").get(function () {
+  if (this.revokedAt) return "revoked";
+  if (this.expiresAt && this.expiresAt.getTime() < Date.now()) return "expired";
+  return "active";
+});
+
+ApiKeySchema.methods.isActive = function () {
+  return this.status === "active";
+};
+
+const ApiKey = mongoose.model("ApiKey", ApiKeySchema);
+
+module.exports = ApiKey;
@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+/**
+ * Audit Log Schema
+ * Append-only record of privileged actions
+ */
+const AuditLogSchema = new mongoose.Schema(
+  {
+    // User the action was performed as
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    // Admin behind an impersonation session, if any
+    impersonator: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    action: { type: String, required: true },
+    // Entity the action targeted, e.g. { entityType: "User", entityId: "..." }
+    entityType: { type: String },
+    entityId: { type: String },
+    // Field-level diff: { field: { from, to } }
+    changes: { type: mongoose.Schema.Types.Mixed },
+    method: { type: String },
+    path: { type: String },
+    statusCode: { type: Number },
+    ip: { type: String },
+    userAgent: { type: String },
+    metadata: { type: mongoose.Schema.Types.Mixed }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    collection: "audit_logs"
+  }
+);
+
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ impersonator: 1, createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+AuditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+AuditLogSchema.index({ createdAt: -1 });
+
+const AuditLog = mongoose.model("AuditLog", AuditLogSchema);
+
+module.exports = AuditLog;
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const invitationSchema = new mongoose.Schema({
+  email: { type: String, required: true, trim: true },
+  fullName: { type: String, trim: true },
+  role: { type: String, enum: ['admin', 'user'], default: 'user' },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  expiresAt: { type: Date, required: true },
+  acceptedAt: { type: Date },
+  acceptedUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  revokedAt: { type: Date }
+}, { timestamps: true });
+
+invitationSchema.index({ email: 1, createdAt: -1 });
+
+invitationSchema.virtual('status').get(function () {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt.getTime() < Date.now()) return 'expired';
+  return 'pending';
+});
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+/**
+ * Failed login counter per client IP.
+ * Documents expire on their own once the window and any lockout have passed.
+ */
+const LoginThrottleSchema = new mongoose.Schema(
+  {
+    ip: { type: String, required: true, unique: true },
+    failedAttempts: { type: Number, default: 0 },
+    windowStart: { type: Date, default: Date.now },
+    lockCount: { type: Number, default: 0 },
+    lockUntil: { type: Date },
+    expiresAt: { type: Date, required: true }
+  },
+  { timestamps: true }
+);
+
+LoginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginThrottle = mongoose.model("LoginThrottle", LoginThrottleSchema);
+
+module.exports = LoginThrottle;
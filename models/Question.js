@@ -14,6 +14,48 @@ const StepSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Sub-schema for scale (Likert / rating) questions
+const ScaleSchema = new mongoose.Schema(
+  {
+    min: { type: Number, default: 1 },
+    max: { type: Number, default: 5 },
+    minLabel: { type: String },
+    maxLabel: { type: String },
+  },
+  { _id: false }
+);
+
+// Sub-schema for admin-defined answer validation (see utils/validationRules.js)
+const ValidationRulesSchema = new mongoose.Schema(
+  {
+    minLength: { type: Number, min: 0 },
+    maxLength: { type: Number, min: 0 },
+    pattern: { type: String },
+    allowedDomains: { type: [String], default: undefined }, // link questions, e.g. ["linkedin.com", "github.com"]
+    allowedFileTypes: { type: [String], default: undefined }, // upload questions, extensions or MIME types
+    maxFileSizeMB: { type: Number, min: 0 },
+    // Custom error message per rule, keyed by rule name
+    messages: {
+      minLength: String,
+      maxLength: String,
+      pattern: String,
+      allowedDomains: String,
+      allowedFileTypes: String,
+      maxFileSizeMB: String,
+    },
+  },
+  { _id: false }
+);
+
+// Translated text and option labels for one locale; options are index-aligned with Question.options
+const QuestionTranslationSchema = new mongoose.Schema(
+  {
+    text: { type: String, trim: true },
+    options: { type: [String], default: undefined },
+  },
+  { _id: false }
+);
+
 // ✅ Sub-schema for optional documents
 const OptionalDocumentSchema = new mongoose.Schema(
   {
@@ -32,6 +74,13 @@ const OptionalDocumentSchema = new mongoose.Schema(
 
 const QuestionSchema = new mongoose.Schema(
   {
+    // Stable identifier used by bundle import/export (falls back to _id when unset)
+    key: {
+      type: String,
+      trim: true,
+      unique: true,
+      sparse: true,
+    },
     text: {
       type: String,
       required: true,
@@ -39,18 +88,66 @@ const QuestionSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ["text", "yes/no", "multiple-choice", "upload", "link"],
+      enum: ["text", "yes/no", "multiple-choice", "upload", "link", "multi-select", "scale", "number", "date", "ranking"],
       default: "text",
     },
+    // Translations keyed by locale (e.g. "de", "pt-br"); text/options above are the default locale
+    translations: {
+      type: Map,
+      of: QuestionTranslationSchema,
+      default: undefined,
+    },
+    // Choices for multiple-choice, multi-select and ranking questions.
+    // These are the canonical option keys stored in UserResponse.answer.
     options: [
       {
         type: String,
       },
     ],
+
+    // multi-select: how many options may be picked
+    minSelections: {
+      type: Number,
+      min: 0,
+    },
+    maxSelections: {
+      type: Number,
+      min: 1,
+    },
+
+    // scale (Likert / rating): integer points from min to max
+    scale: {
+      type: ScaleSchema,
+      default: undefined,
+    },
+
+    // number: allowed range
+    numberRange: {
+      min: Number,
+      max: Number,
+      integer: { type: Boolean, default: false },
+    },
+
+    // date: allowed range
+    dateRange: {
+      min: Date,
+      max: Date,
+    },
+    // Denormalized copy of the referenced Step ({ stepNumber: order, stepName: title })
     step: {
       type: StepSchema,
       required: true,
     },
+    stepId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Step",
+      index: true,
+    },
+    // Position within the step
+    order: {
+      type: Number,
+      default: 0,
+    },
     category: {
       type: String,
       enum: ["student", "professional"],
@@ -66,6 +163,18 @@ const QuestionSchema = new mongoose.Schema(
       default: "active",
     },
 
+    validation: {
+      type: ValidationRulesSchema,
+      default: undefined,
+    },
+
+    // Branching: only show this question when the condition holds (see utils/conditions.js)
+    // e.g. { logic: "and", conditions: [{ questionId, operator: "equals", value: "Yes" }] }
+    displayCondition: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined,
+    },
+
     // ✅ New field for CV + optional documents
     documents: {
       cv: {
@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+/**
+ * Questionnaire Version Schema
+ * Immutable snapshot of the question bank taken when admins publish the draft.
+ * The live Question collection is the draft; respondents only ever see the
+ * latest published snapshot, and each UserResponse records the version it answered.
+ */
+const QuestionnaireVersionSchema = new mongoose.Schema(
+  {
+    version: { type: Number, required: true },
+    // Full question documents (including _id) as they were at publish time
+    questions: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    // Step documents (title, description, order) at publish time
+    steps: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    notes: { type: String, trim: true },
+    publishedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    publishedAt: { type: Date, default: Date.now }
+  },
+  { timestamps: true }
+);
+
+QuestionnaireVersionSchema.index({ version: 1 }, { unique: true });
+
+const QuestionnaireVersion = mongoose.model("QuestionnaireVersion", QuestionnaireVersionSchema);
+
+module.exports = QuestionnaireVersion;
@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+/**
+ * ResponseRevision Schema
+ * One document per change to a user's answer to a question (revisions are
+ * numbered from 1 per user and question). The latest revision mirrors the
+ * current UserResponse; a "delete" revision records that the answer was cleared
+ * and a "migrate" revision without an answer that it moved to another question.
+ */
+const ResponseRevisionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    question: { type: mongoose.Schema.Types.ObjectId, ref: "Question", required: true },
+    revision: { type: Number, required: true },
+    action: {
+      type: String,
+      enum: ["baseline", "create", "update", "delete", "revert", "migrate"],
+      required: true
+    },
+    questionText: { type: String },
+    answer: { type: mongoose.Schema.Types.Mixed },
+    files: { type: [mongoose.Schema.Types.Mixed], default: undefined },
+    aiSuggestions: { type: [String], default: undefined },
+    source: { type: String, enum: ["manual", "auto-fill", "ai"] },
+    status: { type: String, enum: ["draft", "submitted"] },
+    questionnaireVersion: { type: Number, default: null },
+    // Who made the change (null for the baseline of answers saved before history existed)
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    impersonatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    // Set on "revert" revisions
+    revertedFrom: { type: Number },
+    // Set on the old question's "migrate" revision when an answer moves to another question
+    migratedTo: { type: mongoose.Schema.Types.ObjectId, ref: "Question" }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+ResponseRevisionSchema.index({ user: 1, question: 1, revision: -1 }, { unique: true });
+
+const ResponseRevision = mongoose.model("ResponseRevision", ResponseRevisionSchema);
+
+module.exports = ResponseRevision;
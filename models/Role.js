@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const { DEFAULT_ROLES, DEFAULT_ROLE_UPGRADES, isValidPermission } = require('../utils/permissions');
+
+const roleSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, lowercase: true, match: /^[a-z0-9-]+$/ },
+  description: { type: String, trim: true },
+  permissions: {
+    type: [String],
+    validate: {
+      validator: (val) => val.every(isValidPermission),
+      message: (props) => `Unknown permission in ${props.value.join(', ')}`
+    }
+  },
+  // Default permissions already granted to this role, so an upgrade never re-adds one an admin removed
+  grantedDefaults: { type: [String], default: undefined }
+}, { timestamps: true });
+
+roleSchema.index({ name: 1 }, { unique: true });
+
+// Seed the default roles on an empty collection and grant permissions added to them since
+roleSchema.statics.ensureDefaults = async function () {
+  if (await this.countDocuments() === 0) {
+    const roles = DEFAULT_ROLES.map(r => ({ ...r, grantedDefaults: r.permissions }));
+    await this.insertMany(roles, { ordered: false }).catch(() => {});
+  }
+  for (const { role, permission } of DEFAULT_ROLE_UPGRADES) {
+    await this.updateOne(
+      { name: role, grantedDefaults: { $ne: permission } },
+      { $addToSet: { permissions: permission, grantedDefaults: permission } }
+    );
+  }
+};
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Singleton document holding security settings that admins can toggle at runtime
+const securityPolicySchema = new mongoose.Schema({
+  key: { type: String, default: 'global', unique: true },
+  requireAdminTwoFactor: { type: Boolean, default: false },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+const CACHE_TTL_MS = 30 * 1000;
+let cached = null;
+let cachedAt = 0;
+
+// Cached read so per-request checks (e.g. requireAdmin) don't hit the database every time
+securityPolicySchema.statics.getPolicy = async function () {
+  if (cached && Date.now() - cachedAt < CACHE_TTL_MS) return cached;
+  cached = await this.findOneAndUpdate(
+    { key: 'global' },
+    { $setOnInsert: { key: 'global' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+  cachedAt = Date.now();
+  return cached;
+};
+
+securityPolicySchema.statics.updatePolicy = async function (updates, userId) {
+  cached = await this.findOneAndUpdate(
+    { key: 'global' },
+    { ...updates, updatedBy: userId },
+    { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true }
+  ).lean();
+  cachedAt = Date.now();
+  return cached;
+};
+
+module.exports = mongoose.model('SecurityPolicy', securityPolicySchema);
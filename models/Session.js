@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+/**
+ * Session Schema
+ * One document per signed-in device. Holds the hash of the current refresh
+ * token, which is rotated on every refresh.
+ */
+const SessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false
+    },
+    deviceId: { type: String },
+    deviceName: { type: String },
+    userAgent: { type: String },
+    ip: { type: String },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date },
+    revokedReason: { type: String },
+    // Set for short-lived admin impersonation sessions (no refresh token is ever issued)
+    impersonatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    impersonationReason: { type: String }
+  },
+  { timestamps: true }
+);
+
+SessionSchema.index({ user: 1, revokedAt: 1 });
+SessionSchema.index({ user: 1, deviceId: 1 });
+// Let MongoDB drop sessions once their refresh token can no longer be used
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+SessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt.getTime() > Date.now();
+};
+
+const Session = mongoose.model("Session", SessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+/**
+ * Questionnaire Step Schema
+ * Source of truth for step titles and ordering. Questions reference their step
+ * (Question.stepId) and keep a denormalized copy in Question.step
+ * ({ stepNumber: order, stepName: title }) that stepService keeps in sync.
+ */
+const StepSchema = new mongoose.Schema(
+  {
+    // Stable identifier used by bundle import/export (falls back to _id when unset)
+    key: { type: String, trim: true, unique: true, sparse: true },
+    title: { type: String, required: true, trim: true },
+    description: { type: String, trim: true },
+    order: { type: Number, required: true, min: 1 },
+    category: { type: String, enum: ["student", "professional"], required: true },
+    // Translated title/description keyed by locale; the fields above are the default locale
+    translations: {
+      type: Map,
+      of: new mongoose.Schema({ title: String, description: String }, { _id: false }),
+      default: undefined
+    }
+  },
+  { timestamps: true }
+);
+
+StepSchema.index({ category: 1, order: 1 });
+
+const Step = mongoose.model("Step", StepSchema);
+
+module.exports = Step;
@@ -21,15 +21,49 @@ const userSchema = new mongoose.Schema(
       enum: ["admin", "user"],
       default: "user"
     },
+    // Delegated staff roles (see models/Role.js); "admin" already implies every permission
+    roles: [{ type: mongoose.Schema.Types.ObjectId, ref: "Role" }],
     hasCompletedOnboarding: {
       type: Boolean,
       default: false
     },
+    // Questionnaire the user answers; set on their first answers, changed via PUT /api/user-response/category
+    category: {
+      type: String,
+      enum: ["student", "professional"],
+      default: null
+    },
+    // Soft delete: set when an admin deletes the account, purged after the retention window
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
     resetPasswordToken: { type: String },
   resetPasswordExpire: { type: Date },
   passwordResetOTP: { type: String },
   passwordResetOTPExpire: { type: Date },
   passwordResetOTPAttempts: { type: Number, default: 0 },
+  // Left undefined for accounts created before verification existed so they are not locked out
+  emailVerified: { type: Boolean },
+  emailVerificationOTP: { type: String, select: false },
+  emailVerificationOTPExpire: { type: Date },
+  emailVerificationOTPAttempts: { type: Number, default: 0 },
+  emailVerificationSentAt: { type: Date },
+  emailVerificationSendCount: { type: Number, default: 0 },
+  emailVerificationSendWindowStart: { type: Date },
+  pendingEmail: { type: String },
+  emailChangeOTP: { type: String, select: false },
+  emailChangeOTPExpire: { type: Date },
+  emailChangeOTPAttempts: { type: Number, default: 0 },
+  accountDeletionOTP: { type: String, select: false },
+  accountDeletionOTPExpire: { type: Date },
+  accountDeletionOTPAttempts: { type: Number, default: 0 },
+  failedLoginAttempts: { type: Number, default: 0 },
+  lockCount: { type: Number, default: 0 },
+  lockUntil: { type: Date },
+  twoFactorEnabled: { type: Boolean, default: false },
+  twoFactorSecret: { type: String, select: false },
+  twoFactorPendingSecret: { type: String, select: false },
+  twoFactorBackupCodes: { type: [String], select: false },
+  twoFactorLastUsedStep: { type: Number, select: false },
   },
   { timestamps: true }
 );
@@ -47,6 +81,12 @@ userSchema.methods.comparePassword = async function (password) {
   return await bcrypt.compare(password, this.password);
 };
 
+userSchema.index({ deletedAt: 1 });
+
+userSchema.methods.isLocked = function () {
+  return !!(this.lockUntil && this.lockUntil.getTime() > Date.now());
+};
+
 const User = mongoose.model("User", userSchema);
 
 module.exports = User;
\ No newline at end of file
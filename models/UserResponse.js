@@ -17,16 +17,18 @@ const UserResponseSchema = new mongoose.Schema(
     user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
     question: { type: mongoose.Schema.Types.ObjectId, ref: "Question", required: true },
     questionText: { type: String, required: true }, // ✅ store question text
-    questionType: { type: String, enum: ["text", "yes/no", "multiple-choice", "upload", "link"], required: true },
+    questionType: { type: String, enum: ["text", "yes/no", "multiple-choice", "upload", "link", "multi-select", "scale", "number", "date", "ranking"], required: true },
     step: {
       stepNumber: Number,
       stepName: String,
     },
     category: { type: String, enum: ["student", "professional"], required: true },
+    // Published questionnaire version the answer was given against (null before the first publish)
+    questionnaireVersion: { type: Number, default: null },
 
     // Store only the relevant answer based on question type
     answer: {
-      type: mongoose.Schema.Types.Mixed, // Can be String, Boolean, or Array of files
+      type: mongoose.Schema.Types.Mixed, // String, Number, Date, Array of options (multi-select / ranking) or Array of files
       required: true
     },
 
@@ -46,6 +48,13 @@ const UserResponseSchema = new mongoose.Schema(
       default: undefined, // Don't store empty array, only store when suggestions exist
     },
 
+    // Draft answers are autosaved step by step; the final submit marks them submitted
+    status: {
+      type: String,
+      enum: ["draft", "submitted"],
+      default: "submitted"
+    },
+
     // Source of the response (auto-fill from CV or AI-generated)
     source: {
       type: String,
@@ -1,31 +1,76 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const verifyToken = require('../middleware/authMiddleware');
 const requireAdmin = require('../middleware/requireAdmin');
-const { createUser, updateUser, deleteUser, listUsers, getUser } = require('../controller/adminUserController');
+const requirePermission = require('../middleware/requirePermission');
+const auditWrites = require('../middleware/auditWrites');
+const { createUser, updateUser, deleteUser, restoreUser, listUsers, getUser, unlockUser, importUsers, exportUsers } = require('../controller/adminUserController');
 const { createCourse, listCourses, getCourse, updateCourse, deleteCourse } = require('../controller/courseController');
+const { createInvitation, listInvitations, revokeInvitation } = require('../controller/invitationController');
+const { getSecurityPolicy, updateSecurityPolicy } = require('../controller/twoFactorController');
+const { listPermissions, listRoles, createRole, updateRole, deleteRole, setUserRoles } = require('../controller/roleController');
+const { listAuditLogs, getAuditLog } = require('../controller/auditController');
+const { impersonateUser } = require('../controller/impersonationController');
 const { createMajor, listMajors, getMajor, updateMajor, deleteMajor } = require('../controller/majorController');
+const { listApiKeys, createApiKey, rotateApiKey, revokeApiKey } = require('../controller/apiKeyController');
 
-router.use(verifyToken, requireAdmin);
+// Bulk imports are parsed in memory, never written to uploads/
+const importUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 2 * 1024 * 1024 } });
 
-router.get('/users', listUsers);
-router.get('/users/:id', getUser);
-router.post('/users', createUser);
-router.put('/users/:id', updateUser);
-router.delete('/users/:id', deleteUser);
+router.use(verifyToken, auditWrites('admin'));
+
+// User management stays admin only
+router.get('/users', requireAdmin, listUsers);
+router.get('/users/export', requireAdmin, exportUsers);
+router.post('/users/import', requireAdmin, importUpload.single('file'), importUsers);
+router.get('/users/:id', requireAdmin, getUser);
+router.post('/users', requireAdmin, createUser);
+router.put('/users/:id', requireAdmin, updateUser);
+router.delete('/users/:id', requireAdmin, deleteUser);
+router.post('/users/:id/restore', requireAdmin, restoreUser);
+router.post('/users/:id/unlock', requireAdmin, unlockUser);
+router.post('/users/:id/impersonate', requireAdmin, impersonateUser);
+router.put('/users/:id/roles', requireAdmin, setUserRoles);
+
+// Invitation routes
+router.get('/invitations', requireAdmin, listInvitations);
+router.post('/invitations', requireAdmin, createInvitation);
+router.delete('/invitations/:id', requireAdmin, revokeInvitation);
+
+// Security policy
+router.get('/security-policy', requireAdmin, getSecurityPolicy);
+router.put('/security-policy', requireAdmin, updateSecurityPolicy);
+
+// Audit log
+router.get('/audit', requireAdmin, listAuditLogs);
+router.get('/audit/:id', requireAdmin, getAuditLog);
+
+// Role & permission management
+router.get('/permissions', requireAdmin, listPermissions);
+router.get('/roles', requireAdmin, listRoles);
+router.post('/roles', requireAdmin, createRole);
+router.put('/roles/:id', requireAdmin, updateRole);
+router.delete('/roles/:id', requireAdmin, deleteRole);
+
+// Service API keys for machine consumers
+router.get('/api-keys', requireAdmin, listApiKeys);
+router.post('/api-keys', requireAdmin, createApiKey);
+router.post('/api-keys/:id/rotate', requireAdmin, rotateApiKey);
+router.delete('/api-keys/:id', requireAdmin, revokeApiKey);
 
 // Course routes
-router.get('/courses', listCourses);
-router.get('/courses/:id', getCourse);
-router.post('/courses', createCourse);
-router.put('/courses/:id', updateCourse);
-router.delete('/courses/:id', deleteCourse);
+router.get('/courses', requirePermission('courses:read'), listCourses);
+router.get('/courses/:id', requirePermission('courses:read'), getCourse);
+router.post('/courses', requirePermission('courses:write'), createCourse);
+router.put('/courses/:id', requirePermission('courses:write'), updateCourse);
+router.delete('/courses/:id', requirePermission('courses:write'), deleteCourse);
 
 // Major routes
-router.get('/majors', listMajors);
-router.get('/majors/:id', getMajor);
-router.post('/majors', createMajor);
-router.put('/majors/:id', updateMajor);
-router.delete('/majors/:id', deleteMajor);
+router.get('/majors', requirePermission('majors:read'), listMajors);
+router.get('/majors/:id', requirePermission('majors:read'), getMajor);
+router.post('/majors', requirePermission('majors:write'), createMajor);
+router.put('/majors/:id', requirePermission('majors:write'), updateMajor);
+router.delete('/majors/:id', requirePermission('majors:write'), deleteMajor);
 
 module.exports = router;
@@ -1,12 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/authMiddleware');
-const requireAdmin = require('../middleware/requireAdmin');
+const requirePermission = require('../middleware/requirePermission');
+const auditWrites = require('../middleware/auditWrites');
 const AiLog = require('../models/AiLog');
 const createError = require('../utils/error');
+const { recordAudit } = require('../services/auditService');
+
+router.use(auditWrites('ai-logs'));
 
 // Get AI logs for admin review
-router.get('/logs', authMiddleware, requireAdmin, async (req, res, next) => {
+router.get('/logs', authMiddleware, requirePermission('ai-logs:read'), async (req, res, next) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -42,11 +46,13 @@ router.get('/logs', authMiddleware, requireAdmin, async (req, res, next) => {
 });
 
 // Update AI log review status
-router.patch('/logs/:id/review', authMiddleware, requireAdmin, async (req, res, next) => {
+router.patch('/logs/:id/review', authMiddleware, requirePermission('ai-logs:review'), async (req, res, next) => {
   try {
     const { reviewed, adminNotes } = req.body;
     const adminId = req.user.id || req.user._id;
 
+    const before = await AiLog.findById(req.params.id, 'reviewed reviewedBy reviewedAt adminNotes').lean();
+
     const log = await AiLog.findByIdAndUpdate(
       req.params.id,
       {
@@ -63,6 +69,14 @@ router.patch('/logs/:id/review', authMiddleware, requireAdmin, async (req, res,
       return next(createError(404, 'AI log not found'));
     }
 
+    await recordAudit(req, {
+      action: 'ai-log.review',
+      entityType: 'AiLog',
+      entityId: log._id,
+      before,
+      after: { _id: log._id, reviewed: log.reviewed, reviewedBy: log.reviewedBy, reviewedAt: log.reviewedAt, adminNotes: log.adminNotes }
+    });
+
     return res.status(200).json({
       success: true,
       data: log
@@ -75,7 +89,7 @@ router.patch('/logs/:id/review', authMiddleware, requireAdmin, async (req, res,
 });
 
 // Get AI logs statistics
-router.get('/stats', authMiddleware, requireAdmin, async (req, res, next) => {
+router.get('/stats', authMiddleware, requirePermission('ai-logs:read'), async (req, res, next) => {
   try {
     const totalLogs = await AiLog.countDocuments();
     const reviewedLogs = await AiLog.countDocuments({ reviewed: true });
@@ -1,10 +1,71 @@
 const express = require("express");
 const router = express.Router();
-const { register, login, forgotPassword, resetPassword } = require("../controller/authController");
+const verifyToken = require("../middleware/authMiddleware");
+const blockImpersonation = require("../middleware/blockImpersonation");
+const {
+  register,
+  login,
+  verifyTwoFactorLogin,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  refresh,
+  logout,
+  listSessions,
+  deleteSession,
+} = require("../controller/authController");
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+} = require("../controller/twoFactorController");
+const {
+  getMe,
+  updateMe,
+  changePassword,
+  requestEmailChange,
+  confirmEmailChange,
+} = require("../controller/profileController");
+const {
+  exportMyData,
+  requestAccountDeletion,
+  confirmAccountDeletion,
+} = require("../controller/accountDataController");
+const { acceptInvitation } = require("../controller/invitationController");
 
 router.post("/register", register);
 router.post("/login", login);
+router.post("/login/2fa", verifyTwoFactorLogin);
 router.post("/forgot-password", forgotPassword);
 router.post("/reset-password", resetPassword);
+router.post("/verify-email", verifyEmail);
+router.post("/resend-verification", resendVerification);
+router.post("/accept-invitation", acceptInvitation);
+router.post("/refresh", refresh);
+router.post("/logout", verifyToken, logout);
+router.get("/sessions", verifyToken, listSessions);
+router.delete("/sessions/:id", verifyToken, blockImpersonation, deleteSession);
 
-module.exports = router;
\ No newline at end of file
+// Self-service profile
+router.get("/me", verifyToken, getMe);
+router.patch("/me", verifyToken, updateMe);
+router.post("/me/email", verifyToken, blockImpersonation, requestEmailChange);
+router.post("/me/email/confirm", verifyToken, blockImpersonation, confirmEmailChange);
+router.post("/change-password", verifyToken, blockImpersonation, changePassword);
+
+// Personal data export & account erasure
+router.get("/me/export", verifyToken, blockImpersonation, exportMyData);
+router.post("/me/delete-request", verifyToken, blockImpersonation, requestAccountDeletion);
+router.post("/me/delete-confirm", verifyToken, blockImpersonation, confirmAccountDeletion);
+
+// Two-factor authentication (TOTP)
+router.get("/2fa", verifyToken, getTwoFactorStatus);
+router.post("/2fa/setup", verifyToken, blockImpersonation, setupTwoFactor);
+router.post("/2fa/enable", verifyToken, blockImpersonation, enableTwoFactor);
+router.post("/2fa/disable", verifyToken, blockImpersonation, disableTwoFactor);
+router.post("/2fa/backup-codes", verifyToken, blockImpersonation, regenerateBackupCodes);
+
+module.exports = router;
@@ -1,14 +1,42 @@
 const express = require("express")
+const multer = require("multer")
 const router = express.Router()
 const verifyToken = require("../middleware/authMiddleware")
-const {addQuestion, getAllQuestions, getAllQuestionsForAI, updateQuestion, deleteQuestion} = require("../controller/questionController")
+const requirePermission = require("../middleware/requirePermission")
+const requireApiKey = require("../middleware/requireApiKey")
+const auditWrites = require("../middleware/auditWrites")
+const {addQuestion, getAllQuestions, getQuestionSchema, getDraftQuestions, getAllQuestionsForAI, updateQuestion, deleteQuestion} = require("../controller/questionController")
+const {listVersions, getVersion, publishVersion, diffVersions} = require("../controller/questionnaireVersionController")
+const {listSteps, createStep, updateStep, deleteStep, reorderStepList, reorderQuestionsInStep} = require("../controller/stepController")
+const {exportQuestionBundle, importQuestionBundle} = require("../controller/questionBundleController")
+const {getAnalytics} = require("../controller/questionAnalyticsController")
 
+// Bundles are parsed in memory, never written to uploads/
+const bundleUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 2 * 1024 * 1024 } })
 
-router.post("/add", verifyToken, addQuestion)
+
+router.use(auditWrites("questions"))
+
+router.post("/add", verifyToken, requirePermission("questions:write"), addQuestion)
 router.get("/all", verifyToken, getAllQuestions)
-router.get("/ai", getAllQuestionsForAI)
-router.put("/:id", verifyToken, updateQuestion)
-router.delete("/:id", verifyToken, deleteQuestion)
+router.get("/schema", verifyToken, getQuestionSchema)
+router.get("/draft", verifyToken, requirePermission("questions:write"), getDraftQuestions)
+router.get("/ai", requireApiKey("questions:read"), getAllQuestionsForAI)
+router.get("/versions", verifyToken, requirePermission("questions:write"), listVersions)
+router.get("/versions/diff", verifyToken, requirePermission("questions:write"), diffVersions)
+router.get("/versions/:version", verifyToken, requirePermission("questions:write"), getVersion)
+router.post("/versions/publish", verifyToken, requirePermission("questions:publish"), publishVersion)
+router.get("/steps", verifyToken, requirePermission("questions:write"), listSteps)
+router.post("/steps", verifyToken, requirePermission("questions:write"), createStep)
+router.put("/steps/reorder", verifyToken, requirePermission("questions:write"), reorderStepList)
+router.put("/steps/:id", verifyToken, requirePermission("questions:write"), updateStep)
+router.delete("/steps/:id", verifyToken, requirePermission("questions:delete"), deleteStep)
+router.put("/steps/:id/questions", verifyToken, requirePermission("questions:write"), reorderQuestionsInStep)
+router.get("/bundle/export", verifyToken, requirePermission("questions:write"), exportQuestionBundle)
+router.post("/bundle/import", verifyToken, requirePermission("questions:write"), bundleUpload.single("file"), importQuestionBundle)
+router.get("/analytics", verifyToken, requirePermission("questions:analytics"), getAnalytics)
+router.put("/:id", verifyToken, requirePermission("questions:write"), updateQuestion)
+router.delete("/:id", verifyToken, requirePermission("questions:delete"), deleteQuestion)
 
 
 module.exports = router
\ No newline at end of file
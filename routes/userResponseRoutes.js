@@ -2,7 +2,18 @@ const express = require("express");
 const router = express.Router();
 const multer = require("multer");
 const verifyToken = require("../middleware/authMiddleware");
-const { saveUserResponses, preFillQuestions, getUserResponses } = require("../controller/UserResponseController");
+const {
+  saveUserResponses,
+  saveDraftResponses,
+  getQuestionnaireProgress,
+  submitQuestionnaire,
+  preFillQuestions,
+  getUserResponses,
+  getVisibleQuestions,
+  switchCategory,
+  getResponseHistory,
+  revertResponse,
+} = require("../controller/UserResponseController");
 
 
 // ✅ Multer storage setup
@@ -29,9 +40,24 @@ router.use(verifyToken);
 // upload.array("files") allows multiple files per request
 router.post("/save", upload.array("files"), saveUserResponses);
 
+// ✅ Autosave answers step by step, check progress, then submit the draft
+router.post("/draft", upload.array("files"), saveDraftResponses);
+router.get("/progress", getQuestionnaireProgress);
+router.post("/submit", submitQuestionnaire);
+
 // ✅ New POST route for pre-filling questions based on uploaded documents
 router.post("/prefill", upload.array("files"), preFillQuestions);
 
+// ✅ Questions visible for the answers given so far (branching)
+router.post("/visible-questions", getVisibleQuestions);
+
+// ✅ Switch between the student and professional questionnaires
+router.put("/category", switchCategory);
+
+// ✅ Revision history of an answer, and restoring an earlier revision
+router.get("/:questionId/history", getResponseHistory);
+router.post("/:questionId/revert", revertResponse);
+
 router.get("/", getUserResponses);
 
 
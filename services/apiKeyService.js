@@ -0,0 +1,85 @@
+const crypto = require("crypto");
+const ApiKey = require("../models/ApiKey");
+const hashToken = require("../utils/hashToken");
+
+const API_KEY_PREFIX = "ak_";
+const MAX_ROTATION_GRACE_MINUTES = 7 * 24 * 60;
+// lastUsedAt is only written when it is older than this, so busy keys don't cost a write per request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Generate a new random key
+ * @returns {Object} { key, keyHash, prefix }
+ */
+function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString("hex")}`;
+  return { key, keyHash: hashToken(key), prefix: key.slice(0, API_KEY_PREFIX.length + 8) };
+}
+
+/**
+ * Create an API key
+ * @param {Object} params - { name, scopes, expiresAt, createdBy }
+ * @returns {Promise<Object>} { apiKey, key } - the plain key is never stored
+ */
+async function issueApiKey({ name, scopes, expiresAt, createdBy }) {
+  const { key, keyHash, prefix } = generateApiKey();
+  const apiKey = await ApiKey.create({ name, scopes, expiresAt, createdBy, keyHash, prefix });
+  return { apiKey, key };
+}
+
+/**
+ * Replace the secret of an API key, keeping its id, name and scopes.
+ * With a grace period the old secret keeps working for that long so callers
+ * can be redeployed without downtime.
+ * @param {Object} apiKey - ApiKey document
+ * @param {Object} [options] - { graceMinutes }
+ * @returns {Promise<Object>} { apiKey, key }
+ */
+async function reissueApiKey(apiKey, { graceMinutes = 0 } = {}) {
+  const current = await ApiKey.findById(apiKey._id).select("+keyHash");
+  const { key, keyHash, prefix } = generateApiKey();
+
+  if (graceMinutes > 0) {
+    current.previousKeyHash = current.keyHash;
+    current.previousKeyExpiresAt = new Date(Date.now() + graceMinutes * 60 * 1000);
+  } else {
+    current.previousKeyHash = undefined;
+    current.previousKeyExpiresAt = undefined;
+  }
+  current.keyHash = keyHash;
+  current.prefix = prefix;
+  current.rotatedAt = new Date();
+  await current.save();
+  return { apiKey: current, key };
+}
+
+/**
+ * Look up the active API key matching a presented key and record its use
+ * @param {string} rawKey - Key from the request
+ * @param {string} [ip] - Caller IP
+ * @returns {Promise<Object|null>} ApiKey document, or null if unknown, revoked or expired
+ */
+async function authenticateApiKey(rawKey, ip) {
+  if (!rawKey || !String(rawKey).startsWith(API_KEY_PREFIX)) return null;
+
+  const hash = hashToken(rawKey);
+  const now = new Date();
+  const apiKey = await ApiKey.findOne({
+    $or: [{ keyHash: hash }, { previousKeyHash: hash, previousKeyExpiresAt: { $gt: now } }],
+  });
+  if (!apiKey || !apiKey.isActive()) return null;
+
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: now, lastUsedIp: ip });
+    apiKey.lastUsedAt = now;
+    apiKey.lastUsedIp = ip;
+  }
+  return apiKey;
+}
+
+module.exports = {
+  MAX_ROTATION_GRACE_MINUTES,
+  issueApiKey,
+  reissueApiKey,
+  authenticateApiKey,
+};
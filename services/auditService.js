@@ -0,0 +1,31 @@
+const AuditLog = require("../models/AuditLog");
+const diff = require("../utils/diff");
+
+/**
+ * Record an audited action for the current request. Failures are logged,
+ * never thrown, so auditing can't break the action itself.
+ * @param {Object} req - Express request (actor, impersonator and IP are read from it)
+ * @param {Object} entry - { action, entityType, entityId, before, after, metadata }
+ */
+async function recordAudit(req, { action, entityType, entityId, before, after, metadata }) {
+  req.auditRecorded = true;
+  try {
+    await AuditLog.create({
+      actor: req.user && req.user._id,
+      impersonator: req.impersonatedBy,
+      action,
+      entityType,
+      entityId: entityId ? String(entityId) : undefined,
+      changes: before || after ? diff(before, after) : undefined,
+      method: req.method,
+      path: req.originalUrl,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+      metadata,
+    });
+  } catch (err) {
+    console.error("Failed to write audit log:", err.message);
+  }
+}
+
+module.exports = { recordAudit };
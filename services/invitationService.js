@@ -0,0 +1,56 @@
+const jwt = require("jsonwebtoken");
+const Invitation = require("../models/Invitation");
+const sendEmail = require("../utils/sendEmail");
+
+const DEFAULT_EXPIRY_HOURS = 72;
+const MAX_EXPIRY_HOURS = 24 * 30;
+
+// Invitation tokens are signed, carry the invitation id and are single-use via acceptedAt
+function signInvitationToken(invitation) {
+  return jwt.sign(
+    { inv: invitation._id, purpose: "invitation" },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.max(1, Math.floor((invitation.expiresAt.getTime() - Date.now()) / 1000)) }
+  );
+}
+
+/**
+ * Create an invitation (revoking any pending one for the same email) and email it
+ * @param {Object} params - { email, fullName, role, invitedBy, expiresInHours }
+ * @returns {Promise<Object>} { invitation, token, emailSent }
+ */
+async function issueInvitation({ email, fullName, role = "user", invitedBy, expiresInHours = DEFAULT_EXPIRY_HOURS }) {
+  // Only one pending invitation per email
+  await Invitation.updateMany(
+    { email, acceptedAt: null, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+  const invitation = await Invitation.create({
+    email,
+    fullName,
+    role,
+    invitedBy,
+    expiresAt: new Date(Date.now() + Number(expiresInHours) * 60 * 60 * 1000),
+  });
+
+  const token = signInvitationToken(invitation);
+  const link = `${process.env.CLIENT_URL || ""}/accept-invitation?token=${token}`;
+
+  let emailSent = true;
+  try {
+    await sendEmail({
+      to: email,
+      subject: "You have been invited to Aspiro",
+      html: `<p>You have been invited to join Aspiro as <b>${role}</b>.</p>` +
+        `<p><a href="${link}">Accept your invitation</a> to set your password. The link expires on ${invitation.expiresAt.toUTCString()}.</p>`,
+    });
+  } catch (e) {
+    console.error("Failed to send invitation email:", e.message);
+    emailSent = false;
+  }
+
+  return { invitation, token, emailSent };
+}
+
+module.exports = { issueInvitation, DEFAULT_EXPIRY_HOURS, MAX_EXPIRY_HOURS };
@@ -0,0 +1,111 @@
+const User = require("../models/User");
+const LoginThrottle = require("../models/LoginThrottle");
+const sendEmail = require("../utils/sendEmail");
+
+const MAX_ACCOUNT_ATTEMPTS = Number(process.env.LOGIN_MAX_ACCOUNT_ATTEMPTS) || 5;
+const MAX_IP_ATTEMPTS = Number(process.env.LOGIN_MAX_IP_ATTEMPTS) || 20;
+const IP_WINDOW_MS = 15 * 60 * 1000;
+const BASE_LOCK_MS = 15 * 60 * 1000;
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Lock duration doubles with every consecutive lockout, capped at 24h
+ * @param {number} lockCount - Number of lockouts so far (1-based)
+ * @returns {number} Duration in milliseconds
+ */
+function lockDuration(lockCount) {
+  return Math.min(BASE_LOCK_MS * Math.pow(2, Math.max(0, lockCount - 1)), MAX_LOCK_MS);
+}
+
+/**
+ * Check whether an IP is currently blocked
+ * @param {string} ip - Client IP
+ * @returns {Promise<Date|null>} Lock expiry if blocked
+ */
+async function getIpLock(ip) {
+  const entry = await LoginThrottle.findOne({ ip }).lean();
+  if (entry && entry.lockUntil && entry.lockUntil.getTime() > Date.now()) {
+    return entry.lockUntil;
+  }
+  return null;
+}
+
+/**
+ * Count a failed attempt from an IP, blocking it once the window limit is hit
+ * @param {string} ip - Client IP
+ */
+async function recordIpFailure(ip) {
+  const now = Date.now();
+  const entry = (await LoginThrottle.findOne({ ip })) || new LoginThrottle({ ip, windowStart: new Date(now) });
+
+  if (now - entry.windowStart.getTime() > IP_WINDOW_MS) {
+    entry.windowStart = new Date(now);
+    entry.failedAttempts = 0;
+  }
+  entry.failedAttempts += 1;
+
+  if (entry.failedAttempts >= MAX_IP_ATTEMPTS) {
+    entry.lockCount += 1;
+    entry.lockUntil = new Date(now + lockDuration(entry.lockCount));
+    entry.failedAttempts = 0;
+    entry.windowStart = new Date(now);
+  }
+
+  // Keep the record around long enough to remember lockouts for escalation
+  const lockEnd = entry.lockUntil ? entry.lockUntil.getTime() : now;
+  entry.expiresAt = new Date(Math.max(lockEnd, now + IP_WINDOW_MS) + MAX_LOCK_MS);
+  await entry.save();
+}
+
+/**
+ * Count a failed password for an account and lock it when the limit is hit.
+ * The owner is notified by email when a lock is applied.
+ * @param {Object} user - User document
+ * @param {string} ip - Client IP of the attempt
+ * @returns {Promise<boolean>} True if the account was locked by this attempt
+ */
+async function recordAccountFailure(user, ip) {
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  if (!updated || updated.failedLoginAttempts < MAX_ACCOUNT_ATTEMPTS) return false;
+
+  updated.lockCount = (updated.lockCount || 0) + 1;
+  updated.lockUntil = new Date(Date.now() + lockDuration(updated.lockCount));
+  updated.failedLoginAttempts = 0;
+  await updated.save({ validateBeforeSave: false });
+
+  try {
+    await sendEmail({
+      to: updated.email,
+      subject: 'Your account has been temporarily locked',
+      html: `<p>We locked your account after ${MAX_ACCOUNT_ATTEMPTS} failed sign-in attempts (last attempt from ${ip}).</p>` +
+        `<p>You can try again after ${updated.lockUntil.toUTCString()}, or reset your password to regain access sooner.</p>` +
+        `<p>If this wasn't you, we recommend resetting your password.</p>`
+    });
+  } catch (e) {
+    console.error('Failed to send account lock email:', e.message);
+  }
+
+  return true;
+}
+
+/**
+ * Reset the account failure counters after a successful login or admin unlock
+ * @param {string} userId - User id
+ */
+async function resetAccountFailures(userId) {
+  await User.updateOne(
+    { _id: userId },
+    { $set: { failedLoginAttempts: 0, lockCount: 0 }, $unset: { lockUntil: 1 } }
+  );
+}
+
+module.exports = {
+  getIpLock,
+  recordIpFailure,
+  recordAccountFailure,
+  resetAccountFailures,
+};
@@ -0,0 +1,229 @@
+const UserResponse = require("../models/UserResponse");
+const { getPublishedQuestionnaire } = require("./questionnaireService");
+
+const SOURCES = ["manual", "auto-fill", "ai"];
+// Question types whose answers are counted per option
+const DISTRIBUTION_TYPES = ["yes/no", "multiple-choice", "multi-select"];
+
+const percentage = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : 0);
+
+const emptySources = () => Object.fromEntries(SOURCES.map((source) => [source, 0]));
+
+/**
+ * Build the $match stage for the analytics filters
+ * @param {Object} filters - { from, to, category, status }
+ * @returns {Object} Mongo filter
+ */
+function buildMatch({ from, to, category, status }) {
+  const match = {};
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lt = to;
+  }
+  if (category) match.category = category;
+  if (status) match.status = status;
+  return match;
+}
+
+/**
+ * Aggregate how questions are answered
+ * - per question: response count, answer source split, option distribution
+ *   (yes/no, multiple-choice, multi-select) and skip rate for optional questions
+ * - per category: responses and respondents
+ * - per step: how many respondents reached it and how many dropped off before it
+ * A respondent "reached" a step when they answered anything in it or in a later step.
+ * @param {Object} [filters] - { from: Date, to: Date (exclusive), category, status }
+ * @returns {Promise<Object>} { totals, byCategory, dropOff, questions }
+ */
+async function getQuestionAnalytics(filters = {}) {
+  const match = buildMatch(filters);
+
+  const [perQuestion, distribution, byCategory, furthestSteps, published] = await Promise.all([
+    UserResponse.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: "$question",
+          responses: { $sum: 1 },
+          manual: { $sum: { $cond: [{ $eq: ["$source", "manual"] }, 1, 0] } },
+          autoFill: { $sum: { $cond: [{ $eq: ["$source", "auto-fill"] }, 1, 0] } },
+          ai: { $sum: { $cond: [{ $eq: ["$source", "ai"] }, 1, 0] } },
+          questionText: { $last: "$questionText" },
+          questionType: { $last: "$questionType" },
+          category: { $last: "$category" },
+          step: { $last: "$step" },
+        },
+      },
+    ]),
+    UserResponse.aggregate([
+      { $match: { ...match, questionType: { $in: DISTRIBUTION_TYPES } } },
+      // Multi-select answers count once per selected option
+      { $unwind: "$answer" },
+      { $group: { _id: { question: "$question", answer: "$answer" }, count: { $sum: 1 } } },
+    ]),
+    UserResponse.aggregate([
+      { $match: match },
+      { $group: { _id: "$category", responses: { $sum: 1 }, respondents: { $addToSet: "$user" } } },
+      { $project: { _id: 0, category: "$_id", responses: 1, respondents: { $size: "$respondents" } } },
+      { $sort: { category: 1 } },
+    ]),
+    UserResponse.aggregate([
+      { $match: match },
+      { $group: { _id: { user: "$user", category: "$category" }, furthestStep: { $max: "$step.stepNumber" } } },
+    ]),
+    getPublishedQuestionnaire({ activeOnly: false, category: filters.category }),
+  ]);
+
+  // Respondents per category who got at least as far as each step
+  const furthestByCategory = new Map();
+  furthestSteps.forEach(({ _id, furthestStep }) => {
+    if (!furthestByCategory.has(_id.category)) furthestByCategory.set(_id.category, []);
+    furthestByCategory.get(_id.category).push(furthestStep || 0);
+  });
+  const reached = (category, stepNumber) =>
+    (furthestByCategory.get(category) || []).filter((furthest) => furthest >= stepNumber).length;
+
+  // Published questions are listed even when nobody answered them; answers to
+  // questions that were removed since are kept with their stored text
+  const statsById = new Map(perQuestion.map((q) => [String(q._id), q]));
+  const countsById = new Map();
+  distribution.forEach(({ _id, count }) => {
+    const id = String(_id.question);
+    if (!countsById.has(id)) countsById.set(id, new Map());
+    countsById.get(id).set(String(_id.answer), count);
+  });
+
+  const publishedIds = new Set(published.questions.map((q) => String(q._id)));
+  const questions = [
+    ...published.questions.map((q) => ({
+      _id: q._id,
+      text: q.text,
+      type: q.type,
+      category: q.category,
+      step: q.step,
+      optional: !!q.optional,
+      options: q.type === "yes/no" ? ["Yes", "No"] : q.options || [],
+      published: true,
+    })),
+    ...perQuestion
+      .filter((q) => !publishedIds.has(String(q._id)))
+      .map((q) => ({
+        _id: q._id,
+        text: q.questionText,
+        type: q.questionType,
+        category: q.category,
+        step: q.step,
+        optional: null,
+        options: [],
+        published: false,
+      })),
+  ].map((question) => {
+    const id = String(question._id);
+    const stats = statsById.get(id);
+    const responses = stats ? stats.responses : 0;
+    const bySource = stats ? { manual: stats.manual, "auto-fill": stats.autoFill, ai: stats.ai } : emptySources();
+    const entry = {
+      questionId: question._id,
+      text: question.text,
+      type: question.type,
+      category: question.category,
+      step: question.step,
+      optional: question.optional,
+      published: question.published,
+      responses,
+      bySource,
+    };
+
+    if (DISTRIBUTION_TYPES.includes(question.type)) {
+      const counts = countsById.get(id) || new Map();
+      const options = [...new Set([...question.options, ...counts.keys()])];
+      entry.distribution = options.map((option) => ({
+        option,
+        count: counts.get(option) || 0,
+        percentage: percentage(counts.get(option) || 0, responses),
+      }));
+    }
+
+    if (question.optional) {
+      const eligible = reached(question.category, question.step?.stepNumber || 0);
+      entry.eligible = eligible;
+      entry.skipRate = percentage(Math.max(eligible - responses, 0), eligible);
+    }
+    return entry;
+  });
+
+  // Step drop-off per category, in step order
+  const stepsByCategory = new Map();
+  questions.forEach((q) => {
+    const stepNumber = q.step?.stepNumber;
+    if (!stepNumber) return;
+    if (!stepsByCategory.has(q.category)) stepsByCategory.set(q.category, new Map());
+    const steps = stepsByCategory.get(q.category);
+    if (!steps.has(stepNumber)) steps.set(stepNumber, q.step.stepName);
+  });
+  const dropOff = {};
+  for (const [category, steps] of stepsByCategory) {
+    let previous = null;
+    dropOff[category] = [...steps.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([stepNumber, stepName]) => {
+        const count = reached(category, stepNumber);
+        const dropped = previous === null ? 0 : Math.max(previous - count, 0);
+        const row = { stepNumber, stepName, reached: count, dropped, dropOffRate: percentage(dropped, previous || 0) };
+        previous = count;
+        return row;
+      });
+  }
+
+  const totals = { responses: 0, respondents: 0, bySource: emptySources() };
+  perQuestion.forEach((q) => {
+    totals.responses += q.responses;
+    totals.bySource.manual += q.manual;
+    totals.bySource["auto-fill"] += q.autoFill;
+    totals.bySource.ai += q.ai;
+  });
+  totals.respondents = new Set(furthestSteps.map(({ _id }) => String(_id.user))).size;
+
+  return { version: published.version, totals, byCategory, dropOff, questions };
+}
+
+/**
+ * Flatten analytics into CSV rows: one row per option for questions with a
+ * distribution, one row per question otherwise
+ * @param {Object} analytics - Result of getQuestionAnalytics
+ * @returns {Array<Object>} Rows keyed by ANALYTICS_CSV_COLUMNS
+ */
+function toAnalyticsRows(analytics) {
+  return analytics.questions.flatMap((q) => {
+    const base = {
+      questionId: String(q.questionId),
+      category: q.category,
+      stepNumber: q.step?.stepNumber,
+      stepName: q.step?.stepName,
+      question: q.text,
+      type: q.type,
+      optional: q.optional,
+      published: q.published,
+      responses: q.responses,
+      manual: q.bySource.manual,
+      autoFill: q.bySource["auto-fill"],
+      ai: q.bySource.ai,
+      eligible: q.eligible,
+      skipRate: q.skipRate,
+    };
+    if (!q.distribution || q.distribution.length === 0) return [base];
+    return q.distribution.map((d) => ({ ...base, option: d.option, optionCount: d.count, optionPercentage: d.percentage }));
+  });
+}
+
+const ANALYTICS_CSV_COLUMNS = [
+  "questionId", "category", "stepNumber", "stepName", "question", "type", "optional", "published",
+  "responses", "manual", "autoFill", "ai", "eligible", "skipRate", "option", "optionCount", "optionPercentage",
+];
+
+module.exports = {
+  ANALYTICS_CSV_COLUMNS,
+  getQuestionAnalytics,
+  toAnalyticsRows,
+};
@@ -0,0 +1,473 @@
+const mongoose = require("mongoose");
+const yaml = require("js-yaml");
+const Question = require("../models/Question");
+const Step = require("../models/Step");
+const diff = require("../utils/diff");
+const { validateTypeSettings } = require("../utils/questionSettings");
+const { validateCondition } = require("../utils/conditions");
+const { normalizeRules } = require("../utils/validationRules");
+const { validateTranslations, normalizeTranslations } = require("../utils/locale");
+const { backfillSteps } = require("./stepService");
+
+const BUNDLE_FORMAT = "aspiro-questionnaire";
+const BUNDLE_VERSION = 1;
+const CATEGORIES = ["student", "professional"];
+
+// Question fields carried in a bundle besides key, step and displayCondition
+const QUESTION_FIELDS = [
+  "text", "type", "category", "order", "optional", "status", "options",
+  "minSelections", "maxSelections", "scale", "numberRange", "dateRange",
+  "documents", "validation", "translations",
+];
+const QUESTION_DEFAULTS = { order: 0, optional: false, status: "active" };
+
+// Drop undefined/null/empty values and turn ObjectIds, Dates and Maps into plain JSON
+const compact = (obj) => {
+  const plain = JSON.parse(JSON.stringify(obj));
+  Object.keys(plain).forEach((k) => {
+    const v = plain[k];
+    if (v === null || v === undefined || (Array.isArray(v) && v.length === 0)) delete plain[k];
+  });
+  return plain;
+};
+
+const mapCondition = (condition, mapRule) => {
+  if (!condition) return condition;
+  if (Array.isArray(condition.conditions)) {
+    return { ...condition, conditions: condition.conditions.map((c) => mapCondition(c, mapRule)) };
+  }
+  return mapRule(condition);
+};
+
+const naturalKey = (text, stepNumber, category) => `${String(text).trim()}|${stepNumber}|${category}`;
+
+const stepToBundle = (step) =>
+  compact({
+    key: step.key || String(step._id),
+    title: step.title,
+    description: step.description,
+    order: step.order,
+    category: step.category,
+    translations: step.translations,
+  });
+
+const questionToBundle = (question, stepKeys, questionKeys) => {
+  const fields = Object.fromEntries(QUESTION_FIELDS.map((f) => [f, question[f]]));
+  return compact({
+    key: question.key || String(question._id),
+    step: stepKeys.get(String(question.stepId)),
+    ...fields,
+    displayCondition: mapCondition(question.displayCondition, ({ questionId, ...rule }) => ({
+      questionKey: questionKeys.get(String(questionId)) || String(questionId),
+      ...rule,
+    })),
+  });
+};
+
+/**
+ * Build a portable bundle of the draft question bank
+ * @returns {Promise<Object>} { format, version, exportedAt, steps, questions }
+ */
+async function exportBundle() {
+  await backfillSteps();
+  const [steps, questions] = await Promise.all([
+    Step.find().sort({ category: 1, order: 1 }).lean(),
+    Question.find().sort({ category: 1, "step.stepNumber": 1, order: 1, createdAt: 1 }).lean(),
+  ]);
+
+  const stepKeys = new Map(steps.map((s) => [String(s._id), s.key || String(s._id)]));
+  const questionKeys = new Map(questions.map((q) => [String(q._id), q.key || String(q._id)]));
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    steps: steps.map(stepToBundle),
+    questions: questions.map((q) => questionToBundle(q, stepKeys, questionKeys)),
+  };
+}
+
+/**
+ * Serialize a bundle
+ * @param {Object} bundle - Bundle object
+ * @param {string} format - "json" or "yaml"
+ * @returns {string}
+ */
+function serializeBundle(bundle, format) {
+  return format === "yaml" ? yaml.dump(bundle, { noRefs: true, lineWidth: 120 }) : JSON.stringify(bundle, null, 2);
+}
+
+/**
+ * Parse a JSON or YAML bundle (YAML is a superset of JSON, so one parser covers both)
+ * @param {string} text - File contents
+ * @returns {Object} Bundle
+ */
+function parseBundle(text) {
+  try {
+    return yaml.load(String(text).replace(/^﻿/, ""));
+  } catch (e) {
+    const error = new Error(`Could not parse bundle: ${e.message}`);
+    error.status = 400;
+    throw error;
+  }
+}
+
+/**
+ * Structural checks that don't need the database
+ * @param {Object} bundle - Parsed bundle
+ * @returns {string[]} Error messages
+ */
+function validateBundle(bundle) {
+  const errors = [];
+  if (!bundle || typeof bundle !== "object" || Array.isArray(bundle)) return ["Bundle must be an object"];
+  if (bundle.format !== BUNDLE_FORMAT) errors.push(`format must be "${BUNDLE_FORMAT}"`);
+  if (bundle.version !== BUNDLE_VERSION) errors.push(`Unsupported bundle version ${bundle.version}; expected ${BUNDLE_VERSION}`);
+  if (!Array.isArray(bundle.steps)) errors.push("steps must be an array");
+  if (!Array.isArray(bundle.questions)) errors.push("questions must be an array");
+  if (errors.length) return errors;
+
+  const stepKeys = new Set();
+  bundle.steps.forEach((step, i) => {
+    const label = `steps[${i}]${step && step.key ? ` (${step.key})` : ""}`;
+    if (!step || !step.key || !step.title || !CATEGORIES.includes(step.category) || !Number.isInteger(step.order) || step.order < 1) {
+      errors.push(`${label}: key, title, category (student|professional) and a positive integer order are required`);
+      return;
+    }
+    if (stepKeys.has(String(step.key))) errors.push(`${label}: duplicate key`);
+    stepKeys.add(String(step.key));
+    const translationError = validateTranslations(step.translations, { fields: ["title", "description"] });
+    if (translationError) errors.push(`${label}: ${translationError}`);
+  });
+
+  const stepOrder = new Map(bundle.steps.map((s) => [String(s && s.key), s]));
+  const questionKeys = new Set();
+  const natural = new Set();
+  bundle.questions.forEach((q, i) => {
+    const label = `questions[${i}]${q && q.key ? ` (${q.key})` : ""}`;
+    if (!q || !q.key || !q.text || !q.type || !q.category || !q.step) {
+      errors.push(`${label}: key, text, type, category and step are required`);
+      return;
+    }
+    if (questionKeys.has(String(q.key))) errors.push(`${label}: duplicate key`);
+    questionKeys.add(String(q.key));
+
+    const step = stepOrder.get(String(q.step));
+    if (!step) {
+      errors.push(`${label}: step "${q.step}" is not defined in the bundle`);
+    } else {
+      if (step.category !== q.category) errors.push(`${label}: step "${q.step}" belongs to the ${step.category} questionnaire`);
+      const nk = naturalKey(q.text, step.order, q.category);
+      if (natural.has(nk)) errors.push(`${label}: another question in the bundle has the same text, step and category`);
+      natural.add(nk);
+    }
+
+    const settingsError = validateTypeSettings(q);
+    if (settingsError) errors.push(`${label}: ${settingsError}`);
+    const conditionError = validateCondition(
+      mapCondition(q.displayCondition, ({ questionKey, ...rule }) => ({ questionId: questionKey, ...rule })),
+      q.key
+    );
+    if (conditionError) errors.push(`${label}: ${conditionError}`);
+  });
+
+  // Condition references must point at questions in the bundle
+  bundle.questions.forEach((q, i) => {
+    if (!q || !q.displayCondition) return;
+    const refs = [];
+    mapCondition(q.displayCondition, (rule) => refs.push(String(rule.questionKey)) && rule);
+    const missing = refs.filter((ref) => !questionKeys.has(ref));
+    if (missing.length) errors.push(`questions[${i}] (${q.key}): displayCondition refers to unknown question key(s) ${missing.join(", ")}`);
+  });
+
+  return errors;
+}
+
+/**
+ * In-memory version of stepService.backfillSteps: link questions that predate the
+ * Step entity to a Step (one per category + stepNumber), adding steps as needed
+ * @param {Array} steps - Lean steps; created steps are appended
+ * @param {Array} questions - Lean questions; stepId is filled in
+ * @returns {Object} { createdSteps, linked } to persist the backfill
+ */
+function backfillInMemory(steps, questions) {
+  const createdSteps = [];
+  const linked = [];
+  for (const question of questions.filter((q) => q.stepId === undefined)) {
+    let step = steps.find((s) => s.category === question.category && s.order === question.step.stepNumber);
+    if (!step) {
+      step = {
+        _id: new mongoose.Types.ObjectId(),
+        category: question.category,
+        order: question.step.stepNumber,
+        title: String(question.step.stepName).trim(),
+      };
+      steps.push(step);
+      createdSteps.push(step);
+    }
+    question.stepId = step._id;
+    linked.push(question);
+  }
+  return { createdSteps, linked };
+}
+
+const invalidBundle = (message, details) => {
+  const error = new Error(message);
+  error.status = 400;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Upsert a bundle into the draft question bank, matching steps and questions by key.
+ * Existing records without a key are matched by _id, then by their natural key
+ * (step: category + order, question: text + stepNumber + category), so a bank that
+ * was seeded by hand can adopt keys from its first import.
+ * Every write is worked out and validated in memory first, so a dry run reports
+ * exactly what an import does, and the import itself runs in one transaction.
+ * @param {Object} bundle - Parsed bundle
+ * @param {Object} [options] - { dryRun }
+ * @returns {Promise<Object>} Report with per-item actions, diffs and conflicts
+ */
+async function importBundle(bundle, { dryRun = false } = {}) {
+  const errors = validateBundle(bundle);
+  if (errors.length) throw invalidBundle("Bundle is invalid", errors);
+
+  const [dbSteps, dbQuestions] = await Promise.all([Step.find().lean(), Question.find().lean()]);
+  // Legacy questions need Step documents before they can be matched by step
+  const backfill = backfillInMemory(dbSteps, dbQuestions);
+  const dbStepKeys = new Map(dbSteps.map((s) => [String(s._id), s.key || String(s._id)]));
+  const dbQuestionKeys = new Map(dbQuestions.map((q) => [String(q._id), q.key || String(q._id)]));
+  const bundleQuestionKeys = new Set(bundle.questions.map((q) => String(q.key)));
+
+  const report = { dryRun, steps: [], questions: [] };
+  const invalid = [];
+
+  // 1. Steps
+  const stepsByKey = new Map(); // bundle key -> { _id, order, title, category }
+  const stepWrites = [];
+  const syncedSteps = new Map(); // step id -> embedded step for questions of updated steps
+  for (const [i, incoming] of bundle.steps.entries()) {
+    const key = String(incoming.key);
+    const existing =
+      dbSteps.find((s) => s.key === key) ||
+      dbSteps.find((s) => !s.key && String(s._id) === key) ||
+      dbSteps.find((s) => !s.key && s.category === incoming.category && s.order === incoming.order);
+
+    const data = {
+      key,
+      title: incoming.title,
+      description: incoming.description,
+      order: incoming.order,
+      category: incoming.category,
+      translations: normalizeTranslations(incoming.translations),
+    };
+    const changes = existing ? diff(stepToBundle(existing), stepToBundle(data)) : null;
+    const action = !existing ? "created" : Object.keys(changes).length || !existing.key ? "updated" : "unchanged";
+    report.steps.push({ key, action, ...(changes && Object.keys(changes).length ? { changes } : {}) });
+
+    const id = existing ? existing._id : new mongoose.Types.ObjectId();
+    if (action !== "unchanged") {
+      const validationError = new Step(data).validateSync();
+      if (validationError) invalid.push(`steps[${i}] (${key}): ${validationError.message}`);
+      stepWrites.push({ id, data, create: !existing });
+    }
+    if (action === "updated") syncedSteps.set(String(id), { stepNumber: data.order, stepName: data.title });
+    stepsByKey.set(key, { _id: id, order: data.order, title: data.title, category: data.category });
+  }
+
+  // Where each question ends up, indexed by natural key, so collisions on the unique
+  // { text, step.stepNumber, category } index are found before anything is written
+  const finalState = new Map();
+  const holders = new Map();
+  const place = (id, state) => {
+    const nk = naturalKey(state.text, state.step.stepNumber, state.category);
+    finalState.set(id, state);
+    if (!holders.has(nk)) holders.set(nk, new Set());
+    holders.get(nk).add(id);
+  };
+  const unplace = (id) => {
+    const state = finalState.get(id);
+    holders.get(naturalKey(state.text, state.step.stepNumber, state.category)).delete(id);
+  };
+  dbQuestions.forEach((q) => place(String(q._id), { text: q.text, category: q.category, step: syncedSteps.get(String(q.stepId)) || q.step }));
+
+  // 2. Questions (conditions are resolved once every question has an id)
+  const idsByKey = new Map();
+  const withConditions = [];
+  const questionWrites = new Map(); // question id -> create data or update
+  for (const [i, incoming] of bundle.questions.entries()) {
+    const key = String(incoming.key);
+    const step = stepsByKey.get(String(incoming.step));
+    const embeddedStep = { stepNumber: step.order, stepName: step.title };
+
+    let matchedBy = "key";
+    let existing = dbQuestions.find((q) => q.key === key);
+    if (!existing) {
+      existing = dbQuestions.find((q) => !q.key && String(q._id) === key);
+      matchedBy = "id";
+    }
+    if (!existing) {
+      const candidate = dbQuestions.find(
+        (q) => naturalKey(q.text, q.step?.stepNumber, q.category) === naturalKey(incoming.text, step.order, incoming.category)
+      );
+      // Adopt an unkeyed question with the same text in the same step rather than colliding with it
+      if (candidate && !bundleQuestionKeys.has(dbQuestionKeys.get(String(candidate._id)))) {
+        if (candidate.key) {
+          report.questions.push({
+            key,
+            text: incoming.text,
+            action: "conflict",
+            error: `A question with the same text, step and category already exists under key "${candidate.key}"`,
+          });
+          continue;
+        }
+        existing = candidate;
+        matchedBy = "text";
+      }
+    }
+
+    const data = { key, stepId: step._id, step: embeddedStep };
+    QUESTION_FIELDS.forEach((field) => {
+      data[field] = incoming[field] !== undefined ? incoming[field] : QUESTION_DEFAULTS[field];
+    });
+    data.validation = normalizeRules(data.validation);
+    data.translations = normalizeTranslations(data.translations);
+
+    const before = existing ? questionToBundle(existing, dbStepKeys, dbQuestionKeys) : null;
+    const { stepId, ...fields } = data;
+    const after = compact({ ...fields, step: String(incoming.step), displayCondition: incoming.displayCondition });
+    const changes = before ? diff(before, after) : null;
+    const action = !existing ? "created" : Object.keys(changes).length || !existing.key ? "updated" : "unchanged";
+    const entry = {
+      key,
+      text: incoming.text,
+      action,
+      ...(existing && matchedBy !== "key" ? { matchedBy } : {}),
+      ...(changes && Object.keys(changes).length ? { changes } : {}),
+    };
+
+    const id = existing ? String(existing._id) : String(new mongoose.Types.ObjectId());
+    const target = holders.get(naturalKey(data.text, step.order, data.category)) || new Set();
+    if ([...target].some((other) => other !== id)) {
+      entry.action = "conflict";
+      entry.error = "Another question already has the same text, step and category";
+      delete entry.changes;
+    } else {
+      if (existing) unplace(id);
+      place(id, { text: data.text, category: data.category, step: embeddedStep });
+      idsByKey.set(key, id);
+
+      if (!existing) {
+        const validationError = new Question(data).validateSync();
+        if (validationError) invalid.push(`questions[${i}] (${key}): ${validationError.message}`);
+        questionWrites.set(id, { create: data });
+      } else if (action === "updated") {
+        const unset = Object.fromEntries(
+          QUESTION_FIELDS.filter((f) => data[f] === undefined || data[f] === null).map((f) => [f, 1])
+        );
+        const set = Object.fromEntries(Object.entries(data).filter(([, v]) => v !== undefined && v !== null));
+        const validationError = new Question(set).validateSync(Object.keys(set));
+        if (validationError) invalid.push(`questions[${i}] (${key}): ${validationError.message}`);
+        questionWrites.set(id, { update: { $set: set, ...(Object.keys(unset).length ? { $unset: unset } : {}) } });
+      }
+    }
+
+    // Conditions may change even when nothing else does
+    const hadCondition = existing && existing.displayCondition;
+    if (entry.action !== "conflict" && (incoming.displayCondition || hadCondition)) {
+      withConditions.push({ key, condition: incoming.displayCondition });
+    }
+    report.questions.push(entry);
+  }
+
+  if (invalid.length) throw invalidBundle("Bundle does not pass validation", invalid);
+
+  // Renamed or reordered steps can push questions outside the bundle into each other
+  const collisions = [...holders.values()].filter((ids) => ids.size > 1);
+  if (collisions.length) {
+    const texts = collisions.map((ids) => `"${finalState.get([...ids][0]).text}"`);
+    const error = new Error(`The bundle's steps would give questions the same text, step and category: ${texts.join(", ")}`);
+    error.status = 409;
+    throw error;
+  }
+
+  const count = (items, action) => items.filter((i) => i.action === action).length;
+  report.summary = {
+    steps: { created: count(report.steps, "created"), updated: count(report.steps, "updated"), unchanged: count(report.steps, "unchanged") },
+    questions: {
+      created: count(report.questions, "created"),
+      updated: count(report.questions, "updated"),
+      unchanged: count(report.questions, "unchanged"),
+      conflicts: count(report.questions, "conflict"),
+    },
+  };
+  if (dryRun) return report;
+
+  // Questions of updated steps that the bundle doesn't rewrite only need their embedded step synced
+  for (const q of dbQuestions) {
+    const id = String(q._id);
+    const synced = syncedSteps.get(String(q.stepId));
+    if (synced && !questionWrites.has(id)) questionWrites.set(id, { update: { step: synced } });
+  }
+  // Questions whose natural key changes are parked on temporary negative step numbers first,
+  // so no write ever passes through a state the unique index rejects
+  const parked = dbQuestions.filter((q) => {
+    const state = finalState.get(String(q._id));
+    return naturalKey(q.text, q.step.stepNumber, q.category) !== naturalKey(state.text, state.step.stepNumber, state.category);
+  });
+
+  const conditionUpdates = withConditions
+    .filter(({ key }) => idsByKey.has(key))
+    .map(({ key, condition }) => {
+      // Keys of questions outside the bundle still resolve through the database
+      const resolved = mapCondition(condition, ({ questionKey, ...rule }) => {
+        const ref = idsByKey.get(String(questionKey)) ||
+          dbQuestions.find((q) => (q.key || String(q._id)) === String(questionKey))?._id;
+        return { questionId: ref ? String(ref) : String(questionKey), ...rule };
+      });
+      return { id: idsByKey.get(key), update: resolved ? { displayCondition: resolved } : { $unset: { displayCondition: 1 } } };
+    });
+
+  try {
+    await mongoose.connection.transaction(async (session) => {
+      if (backfill.createdSteps.length) await Step.create(backfill.createdSteps, { session });
+      for (const q of backfill.linked) await Question.updateOne({ _id: q._id }, { stepId: q.stepId }, { session });
+      for (const [index, q] of parked.entries()) {
+        await Question.updateOne({ _id: q._id }, { "step.stepNumber": -(index + 1) }, { session });
+      }
+
+      for (const { id, data, create } of stepWrites) {
+        if (create) {
+          await Step.create([{ _id: id, ...data }], { session });
+        } else {
+          const doc = await Step.findById(id).session(session);
+          doc.set(data);
+          await doc.save();
+        }
+      }
+
+      for (const [id, write] of questionWrites) {
+        if (write.create) await Question.create([{ _id: id, ...write.create }], { session });
+        else await Question.updateOne({ _id: id }, write.update, { session, runValidators: true });
+      }
+      for (const { id, update } of conditionUpdates) await Question.updateOne({ _id: id }, update, { session });
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    // Only a concurrent edit can get here; the transaction left the question bank untouched
+    const conflict = new Error("The question bank changed during the import; nothing was imported, please try again");
+    conflict.status = 409;
+    throw conflict;
+  }
+  return report;
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  exportBundle,
+  serializeBundle,
+  parseBundle,
+  validateBundle,
+  importBundle,
+};
@@ -346,6 +346,9 @@ class QuestionPreFillService {
           break;
       }
 
+      answer = this.coerceAnswerToQuestion(question, answer);
+      if (answer === null) confidence = 0;
+
       return {
         type: 'auto-fill',
         answer,
@@ -375,6 +378,60 @@ class QuestionPreFillService {
     }
   }
 
+  /**
+   * Convert a free-text answer into the shape the question type expects
+   * (options for multi-select, numbers for scale/number, ISO dates for date).
+   * Returns null when the answer can't be expressed for the question.
+   * @param {Object} question - Question object
+   * @param {*} answer - Raw answer from document parsing or AI
+   * @returns {*} Answer matching the question type, or null
+   */
+  coerceAnswerToQuestion(question, answer) {
+    if (answer === null || answer === undefined) return null;
+    const options = question.options || [];
+    const matchesOption = (value, option) =>
+      option.toLowerCase() === value.toLowerCase() ||
+      option.toLowerCase().includes(value.toLowerCase()) ||
+      value.toLowerCase().includes(option.toLowerCase());
+
+    switch (question.type) {
+      case 'multi-select': {
+        const values = (Array.isArray(answer) ? answer : String(answer).split(/[,;\n]/))
+          .map(value => String(value).trim())
+          .filter(Boolean);
+        const selected = options.filter(option => values.some(value => matchesOption(value, option)));
+        const max = question.maxSelections || options.length;
+        const min = question.minSelections ?? 1;
+        // Nothing matched means nothing to pre-fill, even when no selection is required
+        return selected.length > 0 && selected.length >= min ? selected.slice(0, max) : null;
+      }
+
+      case 'ranking':
+        // Ordering preferences can't be inferred from a CV
+        return null;
+
+      case 'scale':
+      case 'number': {
+        const match = String(answer).match(/-?\d+(\.\d+)?/);
+        if (!match) return null;
+        const value = Number(match[0]);
+        const min = question.type === 'scale' ? (question.scale?.min ?? 1) : question.numberRange?.min;
+        const max = question.type === 'scale' ? (question.scale?.max ?? 5) : question.numberRange?.max;
+        if ((min !== undefined && min !== null && value < min) || (max !== undefined && max !== null && value > max)) return null;
+        if ((question.type === 'scale' || question.numberRange?.integer) && !Number.isInteger(value)) return null;
+        return value;
+      }
+
+      case 'date': {
+        const date = new Date(answer);
+        return isNaN(date) ? null : date.toISOString().slice(0, 10);
+      }
+
+      default:
+        return answer;
+    }
+  }
+
   /**
    * Generate AI suggestions for a question
    * @param {Object} question - Question object
@@ -391,10 +448,12 @@ class QuestionPreFillService {
         question.options || []
       );
 
+      const answer = this.coerceAnswerToQuestion(question, aiResult.answer);
+
       return {
         type: 'ai-suggestions',
-        answer: aiResult.answer,
-        confidence: aiResult.success ? 0.7 : 0.3,
+        answer,
+        confidence: answer === null ? 0 : (aiResult.success ? 0.7 : 0.3),
         source: 'ai-generation',
         metadata: {
           questionType,
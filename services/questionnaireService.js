@@ -0,0 +1,112 @@
+const Question = require("../models/Question");
+const QuestionnaireVersion = require("../models/QuestionnaireVersion");
+const Step = require("../models/Step");
+const diff = require("../utils/diff");
+
+const byStepThenCreated = (a, b) =>
+  (a.step?.stepNumber || 0) - (b.step?.stepNumber || 0) ||
+  (a.order || 0) - (b.order || 0) ||
+  new Date(a.createdAt || 0) - new Date(b.createdAt || 0);
+
+/**
+ * Latest published questionnaire version (without loading older ones)
+ * @returns {Promise<Object|null>} Version document or null if nothing was published yet
+ */
+async function getLatestVersion() {
+  return QuestionnaireVersion.findOne().sort({ version: -1 }).lean();
+}
+
+/**
+ * Questions respondents should see: the latest published snapshot.
+ * Before the first publish the live question bank is served so existing
+ * deployments keep working; version is null in that case.
+ * @param {Object} [options] - { activeOnly: true, category: only this questionnaire (student|professional) }
+ * @returns {Promise<Object>} { version, questions, steps }
+ */
+async function getPublishedQuestionnaire({ activeOnly = true, category } = {}) {
+  const latest = await getLatestVersion();
+  let questions;
+  let steps;
+  if (latest) {
+    questions = latest.questions;
+    steps = latest.steps || [];
+  } else {
+    [questions, steps] = await Promise.all([Question.find().lean(), Step.find().lean()]);
+  }
+  if (activeOnly) questions = questions.filter((q) => q.status !== "inactive");
+  if (category) {
+    questions = questions.filter((q) => q.category === category);
+    steps = steps.filter((s) => s.category === category);
+  }
+  return { version: latest ? latest.version : null, questions: [...questions].sort(byStepThenCreated), steps };
+}
+
+/**
+ * Snapshot the current draft (the live Question collection) as a new version.
+ * The snapshot is a single document insert, so publishing is atomic.
+ * @param {string} userId - Publishing admin
+ * @param {string} [notes] - Release notes
+ * @returns {Promise<Object>} The new version document
+ */
+async function publishDraft(userId, notes) {
+  const [questions, steps] = await Promise.all([Question.find().lean(), Step.find().sort({ category: 1, order: 1 }).lean()]);
+  if (questions.length === 0) throw new Error("Cannot publish an empty questionnaire");
+
+  // Retry once if another publish grabbed the same version number
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const latest = await getLatestVersion();
+    try {
+      return await QuestionnaireVersion.create({
+        version: (latest ? latest.version : 0) + 1,
+        questions: questions.sort(byStepThenCreated),
+        steps,
+        notes,
+        publishedBy: userId,
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt === 1) throw error;
+    }
+  }
+}
+
+/**
+ * Load the questions of a version, or the draft for "draft"
+ * @param {string|number} version - Version number or "draft"
+ * @returns {Promise<Array|null>} Questions, or null if the version doesn't exist
+ */
+async function getQuestionsForVersion(version) {
+  if (version === "draft") return Question.find().lean();
+  const doc = await QuestionnaireVersion.findOne({ version: Number(version) }).lean();
+  return doc ? doc.questions : null;
+}
+
+/**
+ * Compare two sets of questions by question id
+ * @param {Array} fromQuestions - Older set
+ * @param {Array} toQuestions - Newer set
+ * @returns {Object} { added, removed, changed } where changed entries carry a field diff
+ */
+function diffQuestionSets(fromQuestions, toQuestions) {
+  const summary = (q) => ({ _id: q._id, text: q.text, step: q.step, category: q.category });
+  const fromMap = new Map(fromQuestions.map((q) => [String(q._id), q]));
+  const toMap = new Map(toQuestions.map((q) => [String(q._id), q]));
+
+  const added = toQuestions.filter((q) => !fromMap.has(String(q._id))).map(summary);
+  const removed = fromQuestions.filter((q) => !toMap.has(String(q._id))).map(summary);
+  const changed = [];
+  for (const q of toQuestions) {
+    const previous = fromMap.get(String(q._id));
+    if (!previous) continue;
+    const changes = diff(previous, q);
+    if (Object.keys(changes).length) changed.push({ ...summary(q), changes });
+  }
+  return { added, removed, changed };
+}
+
+module.exports = {
+  getLatestVersion,
+  getPublishedQuestionnaire,
+  publishDraft,
+  getQuestionsForVersion,
+  diffQuestionSets,
+};
@@ -0,0 +1,152 @@
+const UserResponse = require("../models/UserResponse");
+const ResponseRevision = require("../models/ResponseRevision");
+
+const MAX_REVISIONS = Number(process.env.RESPONSE_HISTORY_LIMIT) || 50;
+// Fields that make up an answer; a write that leaves all of them unchanged adds no revision
+const ANSWER_FIELDS = ["answer", "files", "aiSuggestions", "source"];
+
+const sameAnswer = (a, b) => ANSWER_FIELDS.every((field) => JSON.stringify(a[field]) === JSON.stringify(b[field]));
+
+const snapshot = (response) => ({
+  questionText: response.questionText,
+  answer: response.answer,
+  files: response.files,
+  aiSuggestions: response.aiSuggestions,
+  source: response.source,
+  status: response.status,
+  questionnaireVersion: response.questionnaireVersion,
+});
+
+/**
+ * Append a revision for a user's answer, numbering it after the latest one
+ * and pruning the oldest beyond MAX_REVISIONS
+ * @param {Object} key - { user, question }
+ * @param {Object} fields - Revision fields (action, answer, source, ...)
+ * @returns {Promise<Object>} The revision
+ */
+async function appendRevision({ user, question }, fields) {
+  // Retry once if a concurrent write took the same revision number
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const latest = await ResponseRevision.findOne({ user, question }, "revision").sort({ revision: -1 }).lean();
+    const revision = (latest ? latest.revision : 0) + 1;
+    try {
+      const created = await ResponseRevision.create({ user, question, revision, ...fields });
+      if (revision > MAX_REVISIONS) {
+        await ResponseRevision.deleteMany({ user, question, revision: { $lte: revision - MAX_REVISIONS } });
+      }
+      return created;
+    } catch (error) {
+      if (error.code !== 11000 || attempt === 1) throw error;
+    }
+  }
+}
+
+// Who is acting: the signed-in user, plus the admin when impersonating
+const actorOf = (req) => ({
+  actor: req && req.user ? req.user._id : null,
+  impersonatedBy: req ? req.impersonatedBy : undefined,
+});
+
+/**
+ * Answers saved before history existed get their current value recorded
+ * as a baseline the first time they change, so it stays recoverable
+ */
+async function ensureBaseline(previous) {
+  const exists = await ResponseRevision.exists({ user: previous.user, question: previous.question });
+  if (exists) return;
+  await appendRevision(
+    { user: previous.user, question: previous.question },
+    { action: "baseline", ...snapshot(previous), actor: null }
+  );
+}
+
+/**
+ * Upsert a user's answer and record the change in its history.
+ * Use instead of UserResponse.findOneAndUpdate for anything that writes answers.
+ * @param {Object} filter - { user, question }
+ * @param {Object} update - UserResponse fields to set
+ * @param {Object} req - Express request (actor), or null for background jobs
+ * @param {Object} [options] - { action, revertedFrom }
+ * @returns {Promise<Object>} Saved UserResponse document
+ */
+async function saveResponse(filter, update, req, { action, revertedFrom } = {}) {
+  const previous = await UserResponse.findOne(filter).lean();
+  const saved = await UserResponse.findOneAndUpdate(filter, update, { new: true, upsert: true, runValidators: true });
+
+  if (previous && sameAnswer(previous, saved) && !action) return saved;
+  if (previous) await ensureBaseline(previous);
+  await appendRevision(
+    { user: saved.user, question: saved.question },
+    { action: action || (previous ? "update" : "create"), ...snapshot(saved), ...actorOf(req), revertedFrom }
+  );
+  return saved;
+}
+
+/**
+ * Delete a user's answer, keeping what it was in the history
+ * @param {Object} filter - { user, question }
+ * @param {Object} req - Express request (actor)
+ * @returns {Promise<boolean>} Whether an answer was deleted
+ */
+async function deleteResponse(filter, req) {
+  const previous = await UserResponse.findOneAndDelete(filter).lean();
+  if (!previous) return false;
+  await ensureBaseline(previous);
+  await appendRevision(
+    { user: previous.user, question: previous.question },
+    { action: "delete", questionText: previous.questionText, questionnaireVersion: previous.questionnaireVersion, ...actorOf(req) }
+  );
+  return true;
+}
+
+/**
+ * Move an answer to another question (category switch), recording it on both
+ * questions: the old one gets an answer-less "migrate" revision pointing at the new one
+ * @param {Object} previous - Stored UserResponse (plain object)
+ * @param {Object} update - Fields to set, including the new question
+ * @param {Object} req - Express request (actor)
+ * @returns {Promise<Object>} Updated UserResponse document
+ */
+async function migrateResponse(previous, update, req) {
+  await ensureBaseline(previous);
+  const saved = await UserResponse.findOneAndUpdate({ _id: previous._id }, update, { new: true, runValidators: true });
+  if (!saved.question.equals(previous.question)) {
+    await appendRevision(
+      { user: previous.user, question: previous.question },
+      {
+        action: "migrate",
+        questionText: previous.questionText,
+        questionnaireVersion: previous.questionnaireVersion,
+        migratedTo: saved.question,
+        ...actorOf(req),
+      }
+    );
+  }
+  await appendRevision(
+    { user: saved.user, question: saved.question },
+    { action: "migrate", ...snapshot(saved), ...actorOf(req) }
+  );
+  return saved;
+}
+
+/**
+ * Revision history of a user's answer, newest first
+ * @param {string} userId - User id
+ * @param {string} questionId - Question id
+ * @returns {Promise<Array>} Revisions
+ */
+async function getHistory(userId, questionId) {
+  return ResponseRevision.find({ user: userId, question: questionId })
+    .populate("actor", "fullName email")
+    .populate("impersonatedBy", "fullName email")
+    .sort({ revision: -1 })
+    .lean();
+}
+
+module.exports = {
+  MAX_REVISIONS,
+  saveResponse,
+  deleteResponse,
+  migrateResponse,
+  getHistory,
+};
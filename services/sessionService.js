@@ -0,0 +1,171 @@
+const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const Session = require("../models/Session");
+const hashToken = require("../utils/hashToken");
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "1h";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const IMPERSONATION_TTL_MINUTES = Number(process.env.IMPERSONATION_TTL_MINUTES) || 15;
+
+/**
+ * Sign a short-lived access token bound to a session
+ * @param {Object} user - User document
+ * @param {Object} session - Session document
+ * @returns {string} Signed JWT
+ */
+function signAccessToken(user, session) {
+  const payload = { id: user._id, sid: session._id };
+  if (session.impersonatedBy) {
+    // Impersonation tokens are marked and never outlive their session
+    payload.imp = session.impersonatedBy;
+    return jwt.sign(payload, process.env.JWT_SECRET, {
+      expiresIn: Math.max(1, Math.floor((session.expiresAt.getTime() - Date.now()) / 1000)),
+    });
+  }
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  });
+}
+
+/**
+ * Refresh tokens are "<sessionId>.<random>" so the session can be looked up
+ * without scanning; only the hash of the whole token is stored.
+ */
+function generateRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(48).toString("hex")}`;
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Create a session for a user and issue its first token pair.
+ * A login from a device that already has an active session replaces it.
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (device info is read from body/headers)
+ * @returns {Promise<Object>} { accessToken, refreshToken, session }
+ */
+async function createSession(user, req) {
+  const { deviceId, deviceName } = req.body || {};
+
+  if (deviceId) {
+    await Session.updateMany(
+      { user: user._id, deviceId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: "replaced" }
+    );
+  }
+
+  const session = new Session({
+    user: user._id,
+    deviceId,
+    deviceName,
+    userAgent: req.headers["user-agent"],
+    ip: req.ip,
+    expiresAt: refreshExpiry(),
+  });
+  const refreshToken = generateRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { accessToken: signAccessToken(user, session), refreshToken, session };
+}
+
+/**
+ * Create a short-lived session that lets an admin act as another user.
+ * Only an access token is issued; it cannot be refreshed.
+ * @param {Object} admin - Admin user document
+ * @param {Object} target - User being impersonated
+ * @param {string} reason - Why the admin needs access (stored on the session)
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { accessToken, session }
+ */
+async function createImpersonationSession(admin, target, reason, req) {
+  const session = new Session({
+    user: target._id,
+    impersonatedBy: admin._id,
+    impersonationReason: reason,
+    deviceName: "impersonation",
+    userAgent: req.headers["user-agent"],
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000),
+  });
+  // Unusable placeholder: impersonation sessions never hand out a refresh token
+  session.refreshTokenHash = hashToken(crypto.randomBytes(32).toString("hex"));
+  await session.save();
+
+  return { accessToken: signAccessToken(target, session), session };
+}
+
+/**
+ * Exchange a refresh token for a new token pair, rotating the refresh token.
+ * Presenting an already-rotated token revokes the session, since it means
+ * the token was copied.
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} { accessToken, refreshToken, session } or null if invalid
+ */
+async function rotateSession(refreshToken, req) {
+  const sessionId = String(refreshToken).split(".")[0];
+  if (!sessionId || !sessionId.match(/^[a-f0-9]{24}$/)) return null;
+
+  const session = await Session.findById(sessionId).select("+refreshTokenHash").populate("user");
+  if (!session || !session.user || !session.isActive()) return null;
+
+  if (session.refreshTokenHash !== hashToken(refreshToken)) {
+    session.revokedAt = new Date();
+    session.revokedReason = "refresh-token-reuse";
+    await session.save();
+    return null;
+  }
+
+  const newRefreshToken = generateRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(newRefreshToken);
+  session.lastUsedAt = new Date();
+  session.expiresAt = refreshExpiry();
+  session.ip = req.ip;
+  session.userAgent = req.headers["user-agent"];
+  await session.save();
+
+  return {
+    accessToken: signAccessToken(session.user, session),
+    refreshToken: newRefreshToken,
+    session,
+  };
+}
+
+/**
+ * Revoke a single session
+ * @param {string} sessionId - Session id
+ * @param {string} userId - Owner of the session
+ * @param {string} reason - Stored for auditing
+ * @returns {Promise<Object|null>} Revoked session, or null if not found
+ */
+async function revokeSession(sessionId, userId, reason = "logout") {
+  return Session.findOneAndUpdate(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+}
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId - User id
+ * @param {string} reason - Stored for auditing
+ * @param {string} [exceptSessionId] - Session to keep
+ */
+async function revokeAllSessions(userId, reason, exceptSessionId) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  return Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+}
+
+module.exports = {
+  signAccessToken,
+  createSession,
+  createImpersonationSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+};
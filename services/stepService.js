@@ -0,0 +1,233 @@
+const Step = require("../models/Step");
+const Question = require("../models/Question");
+
+const embeddedStep = (step) => ({ stepNumber: step.order, stepName: step.title });
+
+/**
+ * Create Step documents for questions that predate the Step entity, using
+ * their embedded step (one Step per category + stepNumber)
+ * @returns {Promise<number>} Number of questions linked
+ */
+async function backfillSteps() {
+  const unlinked = await Question.find({ stepId: { $exists: false } }, "step category").lean();
+  if (unlinked.length === 0) return 0;
+
+  for (const question of unlinked) {
+    const step = await findOrCreateStep(question.category, question.step);
+    await Question.updateOne({ _id: question._id }, { stepId: step._id });
+  }
+  return unlinked.length;
+}
+
+/**
+ * Find the step at a position for a category, creating it from a legacy
+ * { stepNumber, stepName } payload when it doesn't exist yet
+ * @param {string} category - student | professional
+ * @param {Object} legacyStep - { stepNumber, stepName }
+ * @returns {Promise<Object>} Step document
+ */
+async function findOrCreateStep(category, legacyStep) {
+  const existing = await Step.findOne({ category, order: legacyStep.stepNumber });
+  if (existing) return existing;
+  return Step.create({ category, order: legacyStep.stepNumber, title: legacyStep.stepName });
+}
+
+/**
+ * Work out the step fields for a question being created or updated.
+ * A stepId wins; otherwise the legacy step object is mapped onto a Step.
+ * @param {Object} payload - { stepId, step, category }
+ * @returns {Promise<Object>} { stepId, step } or { error }
+ */
+async function resolveQuestionStep({ stepId, step, category }) {
+  let stepDoc;
+  if (stepId) {
+    stepDoc = await Step.findById(stepId).catch(() => null);
+    if (!stepDoc) return { error: "Step not found" };
+  } else {
+    stepDoc = await findOrCreateStep(category, step);
+  }
+  if (stepDoc.category !== category) {
+    return { error: `Step "${stepDoc.title}" belongs to the ${stepDoc.category} questionnaire` };
+  }
+  return { stepId: stepDoc._id, step: embeddedStep(stepDoc) };
+}
+
+/**
+ * Order that puts a question after the ones already in a step
+ * @param {string} stepId - Step id
+ * @returns {Promise<number>}
+ */
+async function nextQuestionOrder(stepId) {
+  const last = await Question.findOne({ stepId }, "order").sort({ order: -1 }).lean();
+  return (last?.order || 0) + 1;
+}
+
+/**
+ * Copy a step's title and order onto its questions
+ * @param {Object} step - Step document
+ */
+async function syncQuestionsForStep(step) {
+  await Question.updateMany({ stepId: step._id }, { step: embeddedStep(step) });
+}
+
+/**
+ * Move steps to new orders and sync their questions. The questions are parked on
+ * temporary negative step numbers first: syncing step by step would otherwise pass
+ * through states the unique { text, step.stepNumber, category } index rejects.
+ * @param {Array} moves - [{ step, order }] with Step documents of one category
+ * @returns {Promise<void>} Throws 409 when the new orders collide
+ */
+async function moveSteps(moves) {
+  const changed = moves.filter(({ step, order }) => step.order !== order);
+  if (changed.length === 0) return;
+
+  try {
+    await Question.bulkWrite(
+      changed.map(({ step }, index) => ({ updateMany: { filter: { stepId: step._id }, update: { "step.stepNumber": -(index + 1) } } }))
+    );
+    await Step.bulkWrite(
+      changed.map(({ step, order }) => ({ updateOne: { filter: { _id: step._id }, update: { order } } }))
+    );
+    for (const { step, order } of changed) {
+      step.order = order;
+      await syncQuestionsForStep(step);
+    }
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    const error = new Error("Moving the steps would give two questions with the same text the same step number");
+    error.status = 409;
+    throw error;
+  }
+}
+
+/**
+ * Reorder the steps of a category
+ * @param {string} category - student | professional
+ * @param {Array<string>} stepIds - Every step id of the category, in the new order
+ * @returns {Promise<Array>} Steps in their new order; throws 400 on a mismatch, 409 on a duplicate question
+ */
+async function reorderSteps(category, stepIds) {
+  const steps = await Step.find({ category });
+  const stepById = new Map(steps.map((s) => [s._id.toString(), s]));
+  if (stepIds.length !== steps.length || !stepIds.every((id) => stepById.has(String(id))) || new Set(stepIds).size !== stepIds.length) {
+    const error = new Error(`stepIds must list every ${category} step exactly once`);
+    error.status = 400;
+    throw error;
+  }
+
+  await moveSteps(stepIds.map((id, index) => ({ step: stepById.get(String(id)), order: index + 1 })));
+  return Step.find({ category }).sort({ order: 1 });
+}
+
+/**
+ * Shift the steps of a category from a position onwards, to make room for a
+ * new step (delta 1) or close the gap left by a deleted one (delta -1)
+ * @param {string} category - student | professional
+ * @param {number} fromOrder - First order to shift
+ * @param {number} delta - Places to move each step by
+ */
+async function shiftSteps(category, fromOrder, delta) {
+  const steps = await Step.find({ category, order: { $gte: fromOrder } }).sort({ order: 1 });
+  await moveSteps(steps.map((step) => ({ step, order: step.order + delta })));
+}
+
+/**
+ * Set the questions of a step and their order. Questions currently in other
+ * steps are moved into this one (drag-and-drop across steps).
+ * @param {Object} step - Target step document
+ * @param {Array<string>} questionIds - Question ids in display order
+ * @returns {Promise<Array>} Questions of the step in their new order; throws 409 when two would share a text
+ */
+async function reorderStepQuestions(step, questionIds) {
+  if (new Set(questionIds.map(String)).size !== questionIds.length) {
+    const error = new Error("questionIds must not contain duplicates");
+    error.status = 400;
+    throw error;
+  }
+
+  const questions = await Question.find({ _id: { $in: questionIds } }, "text category stepId").lean();
+  if (questions.length !== questionIds.length) {
+    const error = new Error("One or more questions not found");
+    error.status = 404;
+    throw error;
+  }
+  const wrongCategory = questions.filter((q) => q.category !== step.category);
+  if (wrongCategory.length) {
+    const error = new Error(`Only ${step.category} questions can be placed in this step`);
+    error.status = 400;
+    throw error;
+  }
+
+  // Questions of this step that were left out of the payload keep their place after the listed ones
+  const remaining = await Question.find({ stepId: step._id, _id: { $nin: questionIds } }, "_id text")
+    .sort({ order: 1, createdAt: 1 })
+    .lean();
+  const ordered = [...questionIds.map(String), ...remaining.map((q) => q._id.toString())];
+
+  // Checked up front so the unique { text, step.stepNumber, category } index never fails half-way
+  const texts = new Set();
+  for (const question of [...questions, ...remaining]) {
+    if (texts.has(question.text)) {
+      const error = new Error(`Step "${step.title}" would have two questions with the text "${question.text}"`);
+      error.status = 409;
+      throw error;
+    }
+    texts.add(question.text);
+  }
+
+  try {
+    await Question.bulkWrite(
+      ordered.map((id, index) => ({
+        updateOne: { filter: { _id: id }, update: { stepId: step._id, step: embeddedStep(step), order: index + 1 } }
+      }))
+    );
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    const error = new Error(`Step "${step.title}" already has a question with the same text`);
+    error.status = 409;
+    throw error;
+  }
+  return Question.find({ stepId: step._id }).sort({ order: 1, createdAt: 1 }).lean();
+}
+
+/**
+ * Group questions under their steps
+ * @param {Array} questions - Questions sorted by step and order
+ * @param {Array} steps - Step documents (may be empty for legacy data)
+ * @returns {Array} [{ _id, title, description, order, category, stepNumber, stepName, questions }]
+ */
+function nestQuestionsBySteps(questions, steps = []) {
+  const stepById = new Map(steps.map((s) => [String(s._id), s]));
+  const groups = new Map();
+
+  for (const question of questions) {
+    const step = question.stepId ? stepById.get(String(question.stepId)) : null;
+    const key = step ? String(step._id) : `${question.category}:${question.step?.stepNumber}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        _id: step ? step._id : null,
+        title: step ? step.title : question.step?.stepName,
+        description: step ? step.description : undefined,
+        order: step ? step.order : question.step?.stepNumber,
+        category: question.category,
+        stepNumber: question.step?.stepNumber,
+        stepName: question.step?.stepName,
+        questions: []
+      });
+    }
+    groups.get(key).questions.push(question);
+  }
+
+  return [...groups.values()].sort((a, b) => (a.order || 0) - (b.order || 0) || a.category.localeCompare(b.category));
+}
+
+module.exports = {
+  backfillSteps,
+  resolveQuestionStep,
+  nextQuestionOrder,
+  syncQuestionsForStep,
+  reorderSteps,
+  shiftSteps,
+  reorderStepQuestions,
+  nestQuestionsBySteps
+};
@@ -0,0 +1,49 @@
+const crypto = require("crypto");
+const hashToken = require("../utils/hashToken");
+const { verifyTOTP } = require("../utils/totp");
+
+const BACKUP_CODE_COUNT = 10;
+
+/**
+ * Generate a fresh set of one-time backup codes
+ * @returns {Object} { codes: plain codes to show once, hashes: values to store }
+ */
+function generateBackupCodes() {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(4).toString("hex");
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+  return { codes, hashes: codes.map((c) => hashToken(c)) };
+}
+
+/**
+ * Check a TOTP code or a backup code for a user with 2FA enabled.
+ * Used codes are persisted so neither can be replayed.
+ * The user must be loaded with +twoFactorSecret +twoFactorBackupCodes +twoFactorLastUsedStep.
+ * @param {Object} user - User document
+ * @param {Object} input - { code, backupCode }
+ * @returns {Promise<boolean>} True if the second factor is valid
+ */
+async function checkSecondFactor(user, { code, backupCode }) {
+  if (code && user.twoFactorSecret) {
+    const step = verifyTOTP(user.twoFactorSecret, code);
+    if (step === null) return false;
+    if (user.twoFactorLastUsedStep != null && step <= user.twoFactorLastUsedStep) return false;
+    user.twoFactorLastUsedStep = step;
+    await user.save({ validateBeforeSave: false });
+    return true;
+  }
+
+  if (backupCode) {
+    const hashed = hashToken(String(backupCode).trim().toLowerCase());
+    const codes = user.twoFactorBackupCodes || [];
+    if (!codes.includes(hashed)) return false;
+    user.twoFactorBackupCodes = codes.filter((c) => c !== hashed);
+    await user.save({ validateBeforeSave: false });
+    return true;
+  }
+
+  return false;
+}
+
+module.exports = { generateBackupCodes, checkSecondFactor };
@@ -0,0 +1,67 @@
+const User = require("../models/User");
+const UserResponse = require("../models/UserResponse");
+const ResponseRevision = require("../models/ResponseRevision");
+const Roadmap = require("../models/Roadmap");
+const AIProcessingLog = require("../models/AIProcessingLog");
+const AiLog = require("../models/AiLog");
+const Session = require("../models/Session");
+
+const RETENTION_DAYS = Number(process.env.USER_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_MS = (Number(process.env.USER_PURGE_INTERVAL_HOURS) || 24) * 60 * 60 * 1000;
+
+/**
+ * Permanently remove a user and every collection that references them
+ * @param {string} userId - User id
+ * @returns {Promise<Object>} Deleted document counts per collection
+ */
+async function purgeUser(userId) {
+  const [responses, revisions, roadmaps, processingLogs, aiLogs, sessions] = await Promise.all([
+    UserResponse.deleteMany({ user: userId }),
+    ResponseRevision.deleteMany({ user: userId }),
+    Roadmap.deleteMany({ user: userId }),
+    AIProcessingLog.deleteMany({ user: userId }),
+    AiLog.deleteMany({ userId }),
+    Session.deleteMany({ user: userId })
+  ]);
+  const user = await User.deleteOne({ _id: userId });
+
+  return {
+    users: user.deletedCount,
+    userResponses: responses.deletedCount,
+    responseRevisions: revisions.deletedCount,
+    roadmaps: roadmaps.deletedCount,
+    aiProcessingLogs: processingLogs.deletedCount,
+    aiLogs: aiLogs.deletedCount,
+    sessions: sessions.deletedCount
+  };
+}
+
+/**
+ * Purge every user soft-deleted longer ago than the retention window
+ * @returns {Promise<number>} Number of users purged
+ */
+async function purgeExpiredUsers() {
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const expired = await User.find({ deletedAt: { $ne: null, $lte: cutoff } }, "_id").lean();
+
+  for (const { _id } of expired) {
+    try {
+      const result = await purgeUser(_id);
+      console.log(`Purged deleted user ${_id}:`, JSON.stringify(result));
+    } catch (error) {
+      console.error(`Failed to purge user ${_id}:`, error.message);
+    }
+  }
+  return expired.length;
+}
+
+/**
+ * Run the purge once now and then on a fixed interval
+ */
+function startUserPurgeJob() {
+  const run = () => purgeExpiredUsers().catch((error) => console.error("User purge job failed:", error.message));
+  run();
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+}
+
+module.exports = { purgeUser, purgeExpiredUsers, startUserPurgeJob, RETENTION_DAYS };
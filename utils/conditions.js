@@ -0,0 +1,146 @@
+// Display conditions for questionnaire branching.
+//
+// A condition is either a rule or a group:
+//   rule:  { questionId, operator, value }
+//   group: { logic: 'and' | 'or', conditions: [rule | group, ...] }
+// A question without a condition is always shown.
+
+const OPERATORS = ['equals', 'notEquals', 'in', 'notIn', 'contains', 'answered', 'notAnswered', 'gt', 'gte', 'lt', 'lte'];
+const LOGIC = ['and', 'or'];
+const MAX_DEPTH = 5;
+
+const isEmpty = (answer) =>
+  answer === undefined ||
+  answer === null ||
+  (typeof answer === 'string' && answer.trim() === '') ||
+  (Array.isArray(answer) && answer.length === 0);
+
+const normalize = (v) => (typeof v === 'string' ? v.trim().toLowerCase() : v);
+const same = (a, b) => normalize(a) === normalize(b) || String(a) === String(b);
+
+const evaluateRule = (rule, answers) => {
+  const answer = answers.get(String(rule.questionId));
+  const values = Array.isArray(rule.value) ? rule.value : [rule.value];
+
+  switch (rule.operator) {
+    case 'answered':
+      return !isEmpty(answer);
+    case 'notAnswered':
+      return isEmpty(answer);
+    case 'equals':
+      return !isEmpty(answer) && same(answer, rule.value);
+    case 'notEquals':
+      return isEmpty(answer) || !same(answer, rule.value);
+    case 'in':
+      return !isEmpty(answer) && values.some((v) => same(answer, v));
+    case 'notIn':
+      return isEmpty(answer) || !values.some((v) => same(answer, v));
+    case 'contains':
+      if (Array.isArray(answer)) return values.every((v) => answer.some((a) => same(a, v)));
+      return typeof answer === 'string' && answer.toLowerCase().includes(String(rule.value).toLowerCase());
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte': {
+      if (isEmpty(answer)) return false;
+      const a = Number(answer);
+      const b = Number(rule.value);
+      if (Number.isNaN(a) || Number.isNaN(b)) return false;
+      if (rule.operator === 'gt') return a > b;
+      if (rule.operator === 'gte') return a >= b;
+      if (rule.operator === 'lt') return a < b;
+      return a <= b;
+    }
+    default:
+      return false;
+  }
+};
+
+/**
+ * Evaluate a condition against a map of answers
+ * @param {Object} condition - Rule or group (falsy means "always shown")
+ * @param {Map<string, *>} answers - questionId -> answer value
+ * @returns {boolean}
+ */
+const evaluateCondition = (condition, answers) => {
+  if (!condition) return true;
+  if (Array.isArray(condition.conditions)) {
+    if (condition.conditions.length === 0) return true;
+    return condition.logic === 'or'
+      ? condition.conditions.some((c) => evaluateCondition(c, answers))
+      : condition.conditions.every((c) => evaluateCondition(c, answers));
+  }
+  return evaluateRule(condition, answers);
+};
+
+/**
+ * Question ids referenced anywhere in a condition
+ * @param {Object} condition - Rule or group
+ * @returns {string[]}
+ */
+const referencedQuestionIds = (condition) => {
+  if (!condition) return [];
+  if (Array.isArray(condition.conditions)) return condition.conditions.flatMap(referencedQuestionIds);
+  return condition.questionId ? [String(condition.questionId)] : [];
+};
+
+/**
+ * Check the shape of a condition
+ * @param {Object} condition - Rule or group
+ * @param {string} [selfId] - Id of the question that owns the condition
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateCondition = (condition, selfId, depth = 0) => {
+  if (condition === null || condition === undefined) return null;
+  if (typeof condition !== 'object' || Array.isArray(condition)) return 'displayCondition must be an object';
+  if (depth > MAX_DEPTH) return `displayCondition can be nested at most ${MAX_DEPTH} levels deep`;
+
+  if (condition.conditions !== undefined) {
+    if (!Array.isArray(condition.conditions)) return 'displayCondition.conditions must be an array';
+    if (!LOGIC.includes(condition.logic)) return `displayCondition.logic must be one of: ${LOGIC.join(', ')}`;
+    for (const child of condition.conditions) {
+      const error = validateCondition(child, selfId, depth + 1);
+      if (error) return error;
+    }
+    return null;
+  }
+
+  if (!condition.questionId) return 'Each display rule needs a questionId';
+  if (selfId && String(condition.questionId) === String(selfId)) return 'A question cannot depend on its own answer';
+  if (!OPERATORS.includes(condition.operator)) return `Display rule operator must be one of: ${OPERATORS.join(', ')}`;
+  if (!['answered', 'notAnswered'].includes(condition.operator) && condition.value === undefined) {
+    return `Display rule operator "${condition.operator}" needs a value`;
+  }
+  return null;
+};
+
+/**
+ * Work out which questions are visible for a set of answers.
+ * Answers to hidden questions don't count towards other conditions, so
+ * this iterates until the visible set stops changing.
+ * @param {Array} questions - Questions with optional displayCondition
+ * @param {Map<string, *>} answers - questionId -> answer value
+ * @returns {Set<string>} Ids of visible questions
+ */
+const getVisibleQuestionIds = (questions, answers) => {
+  const ids = new Set(questions.map((q) => String(q._id)));
+  let visible = new Set(ids);
+
+  for (let i = 0; i <= questions.length; i++) {
+    const effective = new Map([...answers].filter(([id]) => !ids.has(id) || visible.has(id)));
+    const next = new Set(
+      questions.filter((q) => evaluateCondition(q.displayCondition, effective)).map((q) => String(q._id))
+    );
+    if (next.size === visible.size && [...next].every((id) => visible.has(id))) return next;
+    visible = next;
+  }
+  return visible;
+};
+
+module.exports = {
+  OPERATORS,
+  evaluateCondition,
+  referencedQuestionIds,
+  validateCondition,
+  getVisibleQuestionIds
+};
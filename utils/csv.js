@@ -0,0 +1,63 @@
+// Minimal RFC 4180 CSV helpers (quoted fields, escaped quotes, CRLF/LF line endings)
+
+/**
+ * Parse CSV text into an array of objects keyed by the header row
+ * @param {string} text - CSV content
+ * @returns {Array<Object>} Rows
+ */
+const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') inQuotes = false;
+      else field += char;
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field); field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+
+  const nonEmpty = rows.filter(r => r.some(v => v.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+  const headers = nonEmpty[0].map(h => h.trim());
+  return nonEmpty.slice(1).map(values => headers.reduce((obj, h, idx) => {
+    obj[h] = values[idx] !== undefined ? values[idx].trim() : '';
+    return obj;
+  }, {}));
+};
+
+const escapeField = (value) => {
+  if (value === null || value === undefined) return '';
+  const str = value instanceof Date ? value.toISOString() : String(value);
+  // Prefix values that spreadsheet apps would evaluate as formulas
+  const safe = typeof value === 'string' && /^[=+\-@]/.test(str) ? `'${str}` : str;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+/**
+ * Serialize rows to CSV
+ * @param {Array<Object>} rows - Rows to write
+ * @param {Array<string>} columns - Column keys (also used as the header)
+ * @returns {string} CSV content
+ */
+const toCSV = (rows, columns) => [
+  columns.join(','),
+  ...rows.map(r => columns.map(c => escapeField(r[c])).join(','))
+].join('\r\n');
+
+module.exports = { parseCSV, toCSV };
@@ -0,0 +1,46 @@
+// Shallow field-level diff between two versions of a document, used by the
+// audit log and questionnaire version comparison.
+
+// Never store these values in a diff, only the fact that they changed
+const REDACTED_FIELDS = new Set([
+  'password',
+  'passwordResetOTP',
+  'emailVerificationOTP',
+  'emailChangeOTP',
+  'accountDeletionOTP',
+  'twoFactorSecret',
+  'twoFactorPendingSecret',
+  'twoFactorBackupCodes',
+  'refreshTokenHash',
+  'keyHash',
+  'previousKeyHash',
+]);
+const IGNORED_FIELDS = new Set(['_id', '__v', 'createdAt', 'updatedAt']);
+
+const toPlain = (doc) => {
+  if (!doc) return {};
+  const obj = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+  return JSON.parse(JSON.stringify(obj));
+};
+
+/**
+ * Compute a shallow field-level diff between two versions of a document
+ * @param {Object|null} before - Previous version (null on create)
+ * @param {Object|null} after - New version (null on delete)
+ * @returns {Object} { field: { from, to } } for every changed field
+ */
+function diff(before, after) {
+  const a = toPlain(before);
+  const b = toPlain(after);
+  const changes = {};
+  for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (IGNORED_FIELDS.has(key)) continue;
+    if (JSON.stringify(a[key]) === JSON.stringify(b[key])) continue;
+    changes[key] = REDACTED_FIELDS.has(key)
+      ? { from: '[redacted]', to: '[redacted]' }
+      : { from: a[key] === undefined ? null : a[key], to: b[key] === undefined ? null : b[key] };
+  }
+  return changes;
+}
+
+module.exports = diff;
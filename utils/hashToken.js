@@ -0,0 +1,6 @@
+const crypto = require('crypto');
+
+// sha256 hex digest used for OTPs and opaque tokens stored at rest
+const hashToken = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+module.exports = hashToken;
@@ -0,0 +1,199 @@
+// Locale helpers for translated questions, options and steps.
+//
+// Canonical content (Question.text, Question.options, Step.title) is written in
+// DEFAULT_LOCALE. Translations live in `translations[locale]`; translated option
+// labels are index-aligned with the canonical options, and the canonical option
+// is what gets stored as the answer.
+
+const DEFAULT_LOCALE = (process.env.DEFAULT_LOCALE || 'en').toLowerCase();
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,4})?$/;
+
+const normalizeLocale = (locale) => String(locale || '').trim().replace(/_/g, '-').toLowerCase();
+
+/**
+ * Preferred locales for a request, most preferred first: ?lang= then
+ * Accept-Language (by q-value), each followed by its base language, then the default
+ * @param {Object} req - Express request
+ * @returns {string[]}
+ */
+const getRequestLocales = (req) => {
+  const requested = [];
+  if (req.query && req.query.lang) requested.push(normalizeLocale(req.query.lang));
+
+  const header = req.headers && req.headers['accept-language'];
+  if (header) {
+    header
+      .split(',')
+      .map((part) => {
+        const [tag, ...params] = part.trim().split(';');
+        const q = params.find((p) => p.trim().startsWith('q='));
+        return { tag: normalizeLocale(tag), q: q ? Number(q.trim().slice(2)) : 1 };
+      })
+      .filter((entry) => entry.tag && entry.tag !== '*' && LOCALE_PATTERN.test(entry.tag) && entry.q > 0)
+      .sort((a, b) => b.q - a.q)
+      .forEach((entry) => requested.push(entry.tag));
+  }
+
+  const locales = [];
+  for (const locale of [...requested, DEFAULT_LOCALE]) {
+    for (const candidate of [locale, locale.split('-')[0]]) {
+      if (LOCALE_PATTERN.test(candidate) && !locales.includes(candidate)) locales.push(candidate);
+    }
+  }
+  return locales;
+};
+
+const getTranslation = (translations, locale) => {
+  if (!translations) return undefined;
+  return translations instanceof Map ? translations.get(locale) : translations[locale];
+};
+
+const translationLocales = (translations) => {
+  if (!translations) return [];
+  return translations instanceof Map ? [...translations.keys()] : Object.keys(translations);
+};
+
+/**
+ * Pick the first locale in the preference list that has a value for a field
+ * @returns {Object} { value, locale } (canonical value and DEFAULT_LOCALE when untranslated)
+ */
+const pickTranslated = (doc, field, locales, canonical) => {
+  for (const locale of locales) {
+    if (locale === DEFAULT_LOCALE) break;
+    const value = getTranslation(doc.translations, locale)?.[field];
+    if (value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)) {
+      return { value, locale };
+    }
+  }
+  return { value: canonical, locale: DEFAULT_LOCALE };
+};
+
+/**
+ * Localize a question for output. `options` keep the canonical keys (what
+ * clients submit and what is stored); `optionLabels` holds the display labels.
+ * @param {Object} question - Plain question object
+ * @param {string[]} locales - Preferred locales
+ * @returns {Object} Localized copy
+ */
+const localizeQuestion = (question, locales) => {
+  const { translations, ...rest } = question;
+  const text = pickTranslated(question, 'text', locales, question.text);
+  const localized = { ...rest, text: text.value, locale: text.locale };
+
+  if (Array.isArray(question.options) && question.options.length) {
+    const labels = pickTranslated(question, 'options', locales, question.options).value;
+    localized.optionLabels = question.options.map((key, i) => labels[i] || key);
+  }
+  return localized;
+};
+
+/**
+ * Localize a step (title, description) for output
+ * @param {Object} step - Plain step object
+ * @param {string[]} locales - Preferred locales
+ * @returns {Object} Localized copy
+ */
+const localizeStep = (step, locales) => {
+  const { translations, ...rest } = step;
+  return {
+    ...rest,
+    title: pickTranslated(step, 'title', locales, step.title).value,
+    description: pickTranslated(step, 'description', locales, step.description).value
+  };
+};
+
+/**
+ * Localize questions and steps together; each question's embedded step name
+ * is taken from its localized Step
+ * @param {Array} questions - Plain questions
+ * @param {Array} steps - Plain steps
+ * @param {string[]} locales - Preferred locales
+ * @returns {Object} { questions, steps }
+ */
+const localizeQuestionnaire = (questions, steps, locales) => {
+  const localizedSteps = (steps || []).map((step) => localizeStep(step, locales));
+  const titles = new Map(localizedSteps.map((step) => [String(step._id), step.title]));
+  const localizedQuestions = questions.map((question) => {
+    const localized = localizeQuestion(question, locales);
+    if (question.step && question.stepId && titles.has(String(question.stepId))) {
+      localized.step = { ...question.step, stepName: titles.get(String(question.stepId)) };
+    }
+    return localized;
+  });
+  return { questions: localizedQuestions, steps: localizedSteps };
+};
+
+/**
+ * Map a submitted choice to its canonical option key. Accepts the key itself
+ * or a translated label in any locale (case-insensitive).
+ * @param {Object} question - Question with options and translations
+ * @param {string} value - Submitted choice
+ * @returns {string} Canonical key, or the value unchanged when it matches nothing
+ */
+const toOptionKey = (question, value) => {
+  const options = question.options || [];
+  if (typeof value !== 'string' || options.includes(value)) return value;
+  const needle = value.trim().toLowerCase();
+
+  const byKey = options.find((option) => option.toLowerCase() === needle);
+  if (byKey) return byKey;
+
+  for (const locale of translationLocales(question.translations)) {
+    const labels = getTranslation(question.translations, locale)?.options || [];
+    const index = labels.findIndex((label) => typeof label === 'string' && label.trim().toLowerCase() === needle);
+    if (index !== -1 && options[index] !== undefined) return options[index];
+  }
+  return value;
+};
+
+/**
+ * Check translations supplied by an admin
+ * @param {Object} translations - { [locale]: { ...fields } }
+ * @param {Object} [shape] - { fields: allowed string fields, options: canonical options for length checks }
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateTranslations = (translations, { fields = [], options } = {}) => {
+  if (translations === undefined || translations === null) return null;
+  if (typeof translations !== 'object' || Array.isArray(translations)) return 'translations must be an object keyed by locale';
+
+  for (const [rawLocale, entry] of Object.entries(translations)) {
+    const locale = normalizeLocale(rawLocale);
+    if (!LOCALE_PATTERN.test(locale)) return `Invalid locale "${rawLocale}"`;
+    if (locale === DEFAULT_LOCALE) return `"${DEFAULT_LOCALE}" is the default locale; edit the main fields instead`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return `translations.${rawLocale} must be an object`;
+
+    for (const [field, value] of Object.entries(entry)) {
+      if (field === 'options' && options) {
+        if (!Array.isArray(value) || value.length !== options.length || !value.every((v) => typeof v === 'string')) {
+          return `translations.${rawLocale}.options must list a label for each of the ${options.length} options, in the same order`;
+        }
+      } else if (!fields.includes(field)) {
+        return `Unknown translated field "${field}" in translations.${rawLocale}`;
+      } else if (typeof value !== 'string') {
+        return `translations.${rawLocale}.${field} must be a string`;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Lowercase locale keys so lookups match getRequestLocales
+ * @param {Object} translations - { [locale]: { ... } }
+ * @returns {Object|undefined}
+ */
+const normalizeTranslations = (translations) => {
+  if (!translations) return undefined;
+  return Object.fromEntries(Object.entries(translations).map(([locale, entry]) => [normalizeLocale(locale), entry]));
+};
+
+module.exports = {
+  DEFAULT_LOCALE,
+  getRequestLocales,
+  localizeQuestion,
+  localizeStep,
+  localizeQuestionnaire,
+  toOptionKey,
+  validateTranslations,
+  normalizeTranslations
+};
@@ -0,0 +1,41 @@
+// Runs admin-defined regular expressions (question.validation.pattern) off the
+// request thread. Each match gets its own worker, which is terminated once it
+// runs past the time limit, so a backtracking pattern cannot stall the server.
+
+const { Worker } = require('worker_threads');
+
+const PATTERN_TIMEOUT_MS = Number(process.env.PATTERN_TIMEOUT_MS) || 200;
+
+const WORKER_SOURCE = `
+const { parentPort, workerData } = require('worker_threads');
+parentPort.postMessage(new RegExp(workerData.pattern).test(workerData.text));
+`;
+
+/**
+ * Test text against a pattern in a worker thread
+ * @param {string} pattern - Regular expression source
+ * @param {string} text - Input to match
+ * @returns {Promise<boolean|null>} Whether it matched, or null when the match timed out or failed
+ */
+function testPattern(pattern, text) {
+  return new Promise((resolve) => {
+    const worker = new Worker(WORKER_SOURCE, { eval: true, workerData: { pattern, text } });
+    let timer;
+    const finish = (result) => {
+      clearTimeout(timer);
+      resolve(result);
+    };
+    // The clock starts once the worker is up so thread start-up doesn't count against the pattern
+    worker.once('online', () => {
+      timer = setTimeout(() => {
+        worker.terminate();
+        finish(null);
+      }, PATTERN_TIMEOUT_MS);
+    });
+    worker.once('message', (matched) => finish(matched === true));
+    worker.once('error', () => finish(null));
+    worker.once('exit', () => finish(null));
+  });
+}
+
+module.exports = { PATTERN_TIMEOUT_MS, testPattern };
@@ -0,0 +1,50 @@
+// Catalog of fine-grained permissions that can be granted through roles.
+// Admins implicitly hold every permission.
+const PERMISSIONS = {
+  'questions:write': 'Create and edit questions',
+  'questions:delete': 'Delete questions',
+  'questions:publish': 'Publish the draft questionnaire as a new version',
+  'questions:analytics': 'View answer analytics for questions',
+  'courses:read': 'View courses in the admin panel',
+  'courses:write': 'Create, edit and delete courses',
+  'majors:read': 'View majors in the admin panel',
+  'majors:write': 'Create, edit and delete majors',
+  'ai-logs:read': 'View AI suggestion logs and statistics',
+  'ai-logs:review': 'Mark AI suggestion logs as reviewed'
+};
+
+// Seeded on first use so delegation works out of the box; admins can edit them
+const DEFAULT_ROLES = [
+  {
+    name: 'content-editor',
+    description: 'Curates the onboarding questionnaire',
+    permissions: ['questions:write', 'questions:publish', 'questions:analytics']
+  },
+  {
+    name: 'course-manager',
+    description: 'Manages the course and major catalog',
+    permissions: ['courses:read', 'courses:write', 'majors:read', 'majors:write']
+  },
+  {
+    name: 'reviewer',
+    description: 'Reviews AI generated suggestions',
+    permissions: ['ai-logs:read', 'ai-logs:review']
+  }
+];
+
+// Permissions added to a default role after it was first seeded. Existing
+// deployments get each one granted once; admins can remove it again afterwards.
+const DEFAULT_ROLE_UPGRADES = [
+  { role: 'content-editor', permission: 'questions:publish' },
+  { role: 'content-editor', permission: 'questions:analytics' }
+];
+
+// Scopes a service API key can hold; each one unlocks specific machine-facing routes
+const API_KEY_SCOPES = {
+  'questions:read': 'Read the published questionnaire (GET /api/questions/ai)'
+};
+
+const isValidPermission = (permission) => Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+const isValidApiKeyScope = (scope) => Object.prototype.hasOwnProperty.call(API_KEY_SCOPES, scope);
+
+module.exports = { PERMISSIONS, DEFAULT_ROLES, DEFAULT_ROLE_UPGRADES, API_KEY_SCOPES, isValidPermission, isValidApiKeyScope };
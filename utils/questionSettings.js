@@ -0,0 +1,66 @@
+// Checks for the type-specific settings of a question, shared by the
+// question endpoints and the bundle importer.
+
+const { validateRuleDefinition } = require('./validationRules');
+const { validateTranslations } = require('./locale');
+
+const OPTION_TYPES = ['multiple-choice', 'multi-select', 'ranking'];
+
+/**
+ * Check the type-specific settings of a question (options, selection limits, ranges)
+ * @param {Object} q - Question payload
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateTypeSettings = (q) => {
+  const options = q.options || [];
+  if (OPTION_TYPES.includes(q.type) && options.length === 0) {
+    return `Options are required for ${q.type} questions`;
+  }
+  if (OPTION_TYPES.includes(q.type) && new Set(options).size !== options.length) {
+    return 'Options must be unique';
+  }
+
+  if (q.type === 'multi-select') {
+    const { minSelections = 0, maxSelections = options.length } = q;
+    if (minSelections < 0 || maxSelections < 1) return 'minSelections must be >= 0 and maxSelections >= 1';
+    if (minSelections > maxSelections) return 'minSelections cannot be greater than maxSelections';
+    if (maxSelections > options.length) return 'maxSelections cannot exceed the number of options';
+  }
+
+  if (q.type === 'ranking' && options.length < 2) {
+    return 'Ranking questions need at least two options';
+  }
+
+  if (q.type === 'scale' && q.scale) {
+    const { min = 1, max = 5 } = q.scale;
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min >= max) {
+      return 'scale.min and scale.max must be integers with min < max';
+    }
+  }
+
+  if (q.type === 'number' && q.numberRange) {
+    const { min, max } = q.numberRange;
+    if (min !== undefined && max !== undefined && Number(min) > Number(max)) {
+      return 'numberRange.min cannot be greater than numberRange.max';
+    }
+  }
+
+  const rulesError = validateRuleDefinition(q.validation, q.type);
+  if (rulesError) return rulesError;
+
+  const translationError = validateTranslations(q.translations, {
+    fields: ['text'],
+    options: OPTION_TYPES.includes(q.type) ? options : undefined
+  });
+  if (translationError) return translationError;
+
+  if (q.type === 'date' && q.dateRange) {
+    const { min, max } = q.dateRange;
+    if ((min && isNaN(new Date(min))) || (max && isNaN(new Date(max)))) return 'dateRange values must be valid dates';
+    if (min && max && new Date(min) > new Date(max)) return 'dateRange.min cannot be after dateRange.max';
+  }
+
+  return null;
+};
+
+module.exports = { OPTION_TYPES, validateTypeSettings };
@@ -0,0 +1,323 @@
+// Admin-defined answer validation rules for questions (question.validation).
+// The same rules are enforced when responses are saved and published to
+// clients as a JSON Schema so the frontend can validate before submitting.
+
+const path = require('path');
+const { testPattern } = require('./patternMatcher');
+
+const RULES = ['minLength', 'maxLength', 'pattern', 'allowedDomains', 'allowedFileTypes', 'maxFileSizeMB'];
+const TEXT_RULES = ['minLength', 'maxLength', 'pattern'];
+const RULES_BY_TYPE = {
+  text: TEXT_RULES,
+  link: [...TEXT_RULES, 'allowedDomains'],
+  upload: ['allowedFileTypes', 'maxFileSizeMB']
+};
+// Multer rejects anything larger than this before rules are checked
+const MAX_UPLOAD_MB = 5;
+const MAX_PATTERN_LENGTH = 300;
+// Patterns only run against answers up to this length, in a worker with a time limit
+const MAX_PATTERN_INPUT_LENGTH = 200;
+
+const isSet = (value) => value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0);
+
+const normalizeDomain = (domain) =>
+  String(domain).trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, '');
+
+const defaultMessage = (rule, validation, questionText) => {
+  switch (rule) {
+    case 'minLength':
+      return `Answer to "${questionText}" must be at least ${validation.minLength} characters`;
+    case 'maxLength':
+      return `Answer to "${questionText}" must be at most ${validation.maxLength} characters`;
+    case 'pattern':
+      return `Answer to "${questionText}" has an invalid format`;
+    case 'allowedDomains':
+      return `Link for "${questionText}" must point to ${validation.allowedDomains.join(', ')}`;
+    case 'allowedFileTypes':
+      return `Files for "${questionText}" must be of type ${validation.allowedFileTypes.join(', ')}`;
+    case 'maxFileSizeMB':
+      return `Files for "${questionText}" must be at most ${validation.maxFileSizeMB} MB`;
+    default:
+      return `Invalid answer to "${questionText}"`;
+  }
+};
+
+/**
+ * Detect patterns prone to catastrophic backtracking: a repeated group that
+ * itself contains a quantifier (e.g. "(a+)+$") or alternation (e.g. "(a|aa)*"),
+ * or a backreference
+ * @param {string} pattern - Regular expression source
+ * @returns {boolean}
+ */
+const isUnsafePattern = (pattern) => {
+  if (/\\[1-9]|\\k</.test(pattern)) return true;
+
+  // One entry per open group: whether something inside it is quantified or alternated
+  const groups = [{ quantified: false, alternates: false }];
+  const quantifierAt = (i) => {
+    const c = pattern[i];
+    if (c === '*' || c === '+') return { length: 1, repeats: true };
+    if (c === '?') return { length: 1, repeats: false };
+    const brace = c === '{' && /^\{\d+(,\d*)?\}/.exec(pattern.slice(i));
+    return brace ? { length: brace[0].length, repeats: brace[0] !== '{0}' && brace[0] !== '{1}' } : null;
+  };
+
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '\\') {
+      i++;
+    } else if (c === '[') {
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) if (pattern[i] === '\\') i++;
+    } else if (c === '(') {
+      groups.push({ quantified: false, alternates: false });
+      if (pattern[i + 1] === '?') i += pattern[i + 2] === '<' && /[=!]/.test(pattern[i + 3]) ? 3 : 2;
+    } else if (c === ')' && groups.length > 1) {
+      const group = groups.pop();
+      const quantifier = quantifierAt(i + 1);
+      if (quantifier) {
+        if (quantifier.repeats && (group.quantified || group.alternates)) return true;
+        i += quantifier.length;
+        if (pattern[i + 1] === '?') i++;
+      }
+      if (group.quantified || quantifier) groups[groups.length - 1].quantified = true;
+    } else if (c === '|') {
+      groups[groups.length - 1].alternates = true;
+    } else {
+      const quantifier = quantifierAt(i);
+      if (quantifier) {
+        groups[groups.length - 1].quantified = true;
+        i += quantifier.length - 1;
+        if (pattern[i + 1] === '?') i++;
+      }
+    }
+  }
+  return false;
+};
+
+const messageFor = (rule, question) =>
+  question.validation?.messages?.[rule] || defaultMessage(rule, question.validation, question.text);
+
+/**
+ * Check the rules an admin attaches to a question
+ * @param {Object} validation - Rules ({ minLength, maxLength, pattern, allowedDomains, allowedFileTypes, maxFileSizeMB, messages })
+ * @param {string} type - Question type
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateRuleDefinition = (validation, type) => {
+  if (!validation) return null;
+  if (typeof validation !== 'object' || Array.isArray(validation)) return 'validation must be an object';
+
+  const allowed = RULES_BY_TYPE[type] || [];
+  const used = RULES.filter((rule) => isSet(validation[rule]));
+  const unsupported = used.filter((rule) => !allowed.includes(rule));
+  if (unsupported.length) return `Validation rule(s) ${unsupported.join(', ')} cannot be used on ${type} questions`;
+
+  for (const rule of ['minLength', 'maxLength', 'maxFileSizeMB']) {
+    if (isSet(validation[rule]) && !(Number(validation[rule]) >= 0)) return `validation.${rule} must be a non-negative number`;
+  }
+  if (isSet(validation.minLength) && isSet(validation.maxLength) && Number(validation.minLength) > Number(validation.maxLength)) {
+    return 'validation.minLength cannot be greater than validation.maxLength';
+  }
+  if (isSet(validation.maxFileSizeMB) && Number(validation.maxFileSizeMB) > MAX_UPLOAD_MB) {
+    return `validation.maxFileSizeMB cannot exceed the ${MAX_UPLOAD_MB} MB upload limit`;
+  }
+
+  if (isSet(validation.pattern)) {
+    if (typeof validation.pattern !== 'string' || validation.pattern.length > MAX_PATTERN_LENGTH) {
+      return `validation.pattern must be a string of at most ${MAX_PATTERN_LENGTH} characters`;
+    }
+    try {
+      new RegExp(validation.pattern);
+    } catch (e) {
+      return `validation.pattern is not a valid regular expression: ${e.message}`;
+    }
+    if (isUnsafePattern(validation.pattern)) {
+      return 'validation.pattern must not repeat a group that contains a quantifier or alternation, or use backreferences';
+    }
+  }
+
+  for (const rule of ['allowedDomains', 'allowedFileTypes']) {
+    if (isSet(validation[rule]) && (!Array.isArray(validation[rule]) || !validation[rule].every((v) => typeof v === 'string' && v.trim()))) {
+      return `validation.${rule} must be an array of strings`;
+    }
+  }
+
+  if (isSet(validation.messages)) {
+    if (typeof validation.messages !== 'object' || Array.isArray(validation.messages)) return 'validation.messages must be an object';
+    const unknown = Object.keys(validation.messages).filter((key) => !RULES.includes(key));
+    if (unknown.length) return `Unknown validation message key(s): ${unknown.join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Normalize rules before saving (lowercase domains and file types)
+ * @param {Object} validation - Rules from the request
+ * @returns {Object|undefined}
+ */
+const normalizeRules = (validation) => {
+  if (!validation) return undefined;
+  const normalized = { ...validation };
+  if (isSet(normalized.allowedDomains)) normalized.allowedDomains = normalized.allowedDomains.map(normalizeDomain);
+  if (isSet(normalized.allowedFileTypes)) {
+    normalized.allowedFileTypes = normalized.allowedFileTypes.map((t) => t.trim().toLowerCase().replace(/^\./, ''));
+  }
+  return normalized;
+};
+
+/**
+ * Check a text or link answer against the question's rules
+ * @param {Object} question - Question with optional validation
+ * @param {string} value - Answer
+ * @returns {Promise<string|null>} Error message, or null when valid
+ */
+const checkTextAnswer = async (question, value) => {
+  const validation = question.validation;
+  if (!validation || typeof value !== 'string') return null;
+  const text = value.trim();
+
+  if (isSet(validation.minLength) && text.length < validation.minLength) return messageFor('minLength', question);
+  if (isSet(validation.maxLength) && text.length > validation.maxLength) return messageFor('maxLength', question);
+  // A pattern that times out counts as a mismatch
+  if (isSet(validation.pattern) && (text.length > MAX_PATTERN_INPUT_LENGTH || !(await testPattern(validation.pattern, text)))) {
+    return messageFor('pattern', question);
+  }
+
+  if (question.type === 'link' && isSet(validation.allowedDomains)) {
+    let hostname;
+    try {
+      hostname = new URL(/^https?:\/\//i.test(text) ? text : `https://${text}`).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (e) {
+      return messageFor('allowedDomains', question);
+    }
+    const allowed = validation.allowedDomains.some((domain) => hostname === domain || hostname.endsWith(`.${domain}`));
+    if (!allowed) return messageFor('allowedDomains', question);
+  }
+
+  return null;
+};
+
+/**
+ * Check uploaded files against the question's rules
+ * @param {Object} question - Question with optional validation
+ * @param {Array} files - Processed files ({ originalName, size, mimetype })
+ * @returns {string|null} Error message, or null when valid
+ */
+const checkFiles = (question, files) => {
+  const validation = question.validation;
+  if (!validation || !files || files.length === 0) return null;
+
+  for (const file of files) {
+    if (isSet(validation.allowedFileTypes)) {
+      const extension = path.extname(file.originalName || '').slice(1).toLowerCase();
+      const mimetype = (file.mimetype || '').toLowerCase();
+      if (!validation.allowedFileTypes.some((type) => type === extension || type === mimetype)) {
+        return messageFor('allowedFileTypes', question);
+      }
+    }
+    if (isSet(validation.maxFileSizeMB) && file.size > validation.maxFileSizeMB * 1024 * 1024) {
+      return messageFor('maxFileSizeMB', question);
+    }
+  }
+  return null;
+};
+
+// JSON Schema for the answer value of one question
+const answerSchema = (question) => {
+  const validation = question.validation || {};
+  const messages = {};
+  RULES.forEach((rule) => {
+    if (isSet(validation[rule])) messages[rule] = messageFor(rule, question);
+  });
+
+  let schema;
+  switch (question.type) {
+    case 'text':
+    case 'link':
+      schema = { type: 'string', minLength: question.optional ? undefined : 1 };
+      if (isSet(validation.minLength)) schema.minLength = validation.minLength;
+      if (isSet(validation.maxLength)) schema.maxLength = validation.maxLength;
+      if (isSet(validation.pattern)) schema.pattern = validation.pattern;
+      if (question.type === 'link') schema.format = 'uri';
+      if (isSet(validation.allowedDomains)) schema['x-allowedDomains'] = validation.allowedDomains;
+      break;
+    case 'yes/no':
+      schema = { type: 'string', enum: ['Yes', 'No'] };
+      break;
+    case 'multiple-choice':
+      schema = { type: 'string', enum: question.options };
+      break;
+    case 'multi-select':
+      schema = {
+        type: 'array',
+        items: { type: 'string', enum: question.options },
+        uniqueItems: true,
+        minItems: question.minSelections ?? 1,
+        maxItems: question.maxSelections || question.options.length
+      };
+      break;
+    case 'ranking':
+      schema = {
+        type: 'array',
+        items: { type: 'string', enum: question.options },
+        uniqueItems: true,
+        minItems: question.options.length,
+        maxItems: question.options.length
+      };
+      break;
+    case 'scale':
+      schema = { type: 'integer', minimum: question.scale?.min ?? 1, maximum: question.scale?.max ?? 5 };
+      break;
+    case 'number':
+      schema = { type: question.numberRange?.integer ? 'integer' : 'number' };
+      if (isSet(question.numberRange?.min)) schema.minimum = question.numberRange.min;
+      if (isSet(question.numberRange?.max)) schema.maximum = question.numberRange.max;
+      break;
+    case 'date':
+      schema = { type: 'string', format: 'date' };
+      if (question.dateRange?.min) schema.formatMinimum = new Date(question.dateRange.min).toISOString().slice(0, 10);
+      if (question.dateRange?.max) schema.formatMaximum = new Date(question.dateRange.max).toISOString().slice(0, 10);
+      break;
+    case 'upload':
+      schema = { type: 'array', items: { type: 'object' }, minItems: question.optional ? 0 : 1 };
+      if (isSet(validation.allowedFileTypes)) schema['x-allowedFileTypes'] = validation.allowedFileTypes;
+      schema['x-maxFileSizeMB'] = isSet(validation.maxFileSizeMB) ? validation.maxFileSizeMB : MAX_UPLOAD_MB;
+      break;
+    default:
+      schema = {};
+  }
+
+  Object.keys(schema).forEach((key) => schema[key] === undefined && delete schema[key]);
+  return {
+    title: question.text,
+    ...schema,
+    'x-questionType': question.type,
+    ...(question.optionLabels ? { 'x-optionLabels': question.optionLabels } : {}),
+    ...(question.step ? { 'x-step': question.step } : {}),
+    ...(question.displayCondition ? { 'x-displayCondition': question.displayCondition } : {}),
+    ...(Object.keys(messages).length ? { 'x-errorMessages': messages } : {})
+  };
+};
+
+/**
+ * Build a JSON Schema (draft 2020-12) describing valid answers, keyed by question id.
+ * Questions hidden by a display condition are only required when visible.
+ * @param {Array} questions - Questions to describe
+ * @returns {Object} JSON Schema
+ */
+const toJSONSchema = (questions) => ({
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  type: 'object',
+  properties: Object.fromEntries(questions.map((q) => [String(q._id), answerSchema(q)])),
+  required: questions.filter((q) => !q.optional && !q.displayCondition).map((q) => String(q._id))
+});
+
+module.exports = {
+  RULES,
+  validateRuleDefinition,
+  normalizeRules,
+  checkTextAnswer,
+  checkFiles,
+  toJSONSchema
+};